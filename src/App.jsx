@@ -1,13 +1,26 @@
 import React, { useState, useEffect, useMemo } from 'react';
-import { LayoutDashboard, BarChart2, Settings } from 'lucide-react';
+import { LayoutDashboard, BarChart2, Grid3x3, Settings } from 'lucide-react';
 import TradeInput from './components/TradeInput';
 import Dashboard from './components/Dashboard';
 import Analytics from './components/Analytics';
+import RiskView from './components/RiskView';
 import StructureDetail from './components/StructureDetail';
 import SettingsPanel from './components/SettingsPanel';
-import { loadTrades, saveTrades, clearTrades, exportTradesCSV } from './utils/storage';
-import { groupTradesByStructure } from './utils/tradeParser';
-import { calculateFIFOPnL, calculatePnLStats } from './utils/fifoCalculator';
+import { loadTrades, saveTrades, clearTrades, exportTradesCSV, loadSettings, saveSettings } from './utils/storage';
+import { groupTradesByStructure, migrateLegacyTradeIds, filterNewTrades } from './utils/tradeParser';
+import {
+  calculateFIFOPnL, calculatePnLStats, calculateDailyMTMPnL, compareMatchingOrders
+} from './utils/fifoCalculator';
+import { consolidateFills, DEFAULT_FILL_GROUPING } from './utils/orderConsolidation';
+import {
+  getLotMatching, getMatchingMethod, setBookMatchingMethod, setStructureMatchingMethod, setLotSelection,
+  setMatchingOrder
+} from './utils/lotMatching';
+import { getMarkPrices } from './utils/markPrices';
+import { getSettlementsSummary, getStructureSettlements } from './utils/settlements';
+import { getReportingTimeZone } from './utils/timeZones';
+import { calculateStructureRisk } from './utils/exposure';
+import { getFinalSettlements, resolveStructureExpiry, expiryClose } from './utils/expiries';
 import './index.css';
 
 function App() {
@@ -15,12 +28,26 @@ function App() {
   const [activeView, setActiveView] = useState('dashboard');
   const [selectedStructure, setSelectedStructure] = useState(null);
   const [showSettings, setShowSettings] = useState(false);
+  // Zone for displayed dates and daily P&L buckets
+  const [reportingTimeZone, setReportingTimeZone] = useState(() => getReportingTimeZone());
+  // Whether partial fills are matched and counted per fill or consolidated per order
+  const [fillGrouping, setFillGrouping] = useState(() => ({ ...DEFAULT_FILL_GROUPING, ...loadSettings().fillGrouping }));
+  // Lot matching method and order for the book, per-structure overrides and specific-lot choices
+  const [lotMatching, setLotMatching] = useState(() => getLotMatching());
+  // Latest mark per structure, for unrealized P&L on open lots
+  const [markPrices, setMarkPrices] = useState(() => getMarkPrices());
+  // Stored end-of-day settles (summary; the settles are read per structure)
+  const [settlementsSummary, setSettlementsSummary] = useState(() => getSettlementsSummary());
+  // Final settlements entered for expired structures
+  const [finalSettlements, setFinalSettlements] = useState(() => getFinalSettlements());
 
   // Load trades from storage on mount
   useEffect(() => {
     const savedTrades = loadTrades();
     if (savedTrades.length > 0) {
-      setTrades(savedTrades);
+      // Trades saved before content-based IDs get them now, so re-imports merge with them
+      const hasLegacyIds = savedTrades.some(t => !t.source);
+      setTrades(hasLegacyIds ? migrateLegacyTradeIds(savedTrades) : savedTrades);
     }
   }, []);
 
@@ -35,43 +62,104 @@ function App() {
     const groups = groupTradesByStructure(trades);
 
     return Object.values(groups).map(group => {
-      const pnlData = calculateFIFOPnL(group.trades, group.name);
+      const structureTrades = fillGrouping.mode === 'order'
+        ? consolidateFills(group.trades, { windowSeconds: fillGrouping.windowSeconds })
+        : group.trades;
+      // Lots left open at expiry close at the final settlement once there is one
+      const expiry = resolveStructureExpiry(group.name, finalSettlements);
+      const matchOptions = {
+        method: getMatchingMethod(group.name, lotMatching),
+        order: lotMatching.matchingOrder,
+        lotSelections: lotMatching.lotSelections,
+        expiry: expiryClose(expiry)
+      };
+      const pnlData = calculateFIFOPnL(structureTrades, group.name, { ...matchOptions, markPrice: markPrices[group.name] });
       const stats = calculatePnLStats(pnlData.matches);
 
+      // Trades entered out of execution order, and whether that changes realized P&L
+      const orderCheck = compareMatchingOrders(structureTrades, group.name, matchOptions);
+
+      // Daily mark-to-market series once the structure (or its legs) has settles
+      const settles = settlementsSummary.dates > 0 ? getStructureSettlements(group.name) : {};
+      const dailyMTM = Object.keys(settles).length > 0
+        ? calculateDailyMTMPnL(structureTrades, group.name, settles, { ...matchOptions, timeZone: reportingTimeZone })
+        : null;
+
       return {
         name: group.name,
         metadata: group.metadata,
-        trades: group.trades,
+        trades: structureTrades,
+        fillCount: group.trades.length,
         ...pnlData,
-        stats
+        stats,
+        dailyMTM,
+        orderCheck,
+        // DV01 and tick risk of the open position, leg by leg
+        risk: calculateStructureRisk(group.name, pnlData.netPosition),
+        expiry
       };
     });
-  }, [trades]);
+  }, [trades, fillGrouping, lotMatching, markPrices, settlementsSummary, finalSettlements, reportingTimeZone]);
 
-  const handleTradesAdded = (newTrades) => {
-    const tradesArray = Array.isArray(newTrades) ? newTrades : [newTrades];
+  const handleMarkPricesChange = () => {
+    setMarkPrices(getMarkPrices());
+  };
 
-    // Merge with existing, avoiding exact duplicates and logical duplicates in single pass
-    // Create combined lookup set for both ID and logical key
-    const existingLookup = new Set([
-      ...trades.map(t => t.id),
-      ...trades.map(t => `${t.timestamp}-${t.structure}-${t.side}-${t.quantity}-${t.price}`)
-    ]);
+  const handleSettlementsChange = () => {
+    setSettlementsSummary(getSettlementsSummary());
+  };
 
-    const trulyNew = tradesArray.filter(t => {
-      const logicalKey = `${t.timestamp}-${t.structure}-${t.side}-${t.quantity}-${t.price}`;
-      return !existingLookup.has(t.id) && !existingLookup.has(logicalKey);
-    });
+  const handleFinalSettlementsChange = () => {
+    setFinalSettlements(getFinalSettlements());
+  };
 
-    if (trulyNew.length > 0) {
+  const handleFillGroupingChange = (changes) => {
+    const next = { ...fillGrouping, ...changes };
+    setFillGrouping(next);
+    saveSettings({ ...loadSettings(), fillGrouping: next });
+  };
+
+  // bustedExecIds are stored fills a FIX log busted (Trade Cancel reports for earlier imports)
+  const handleTradesAdded = (newTrades, bustedExecIds = []) => {
+    const tradesArray = Array.isArray(newTrades) ? newTrades : [newTrades];
+    const busted = new Set(bustedExecIds);
+    const kept = busted.size > 0 ? trades.filter(t => !busted.has(t.execId)) : trades;
+
+    // Exec IDs identify a fill across sources; without one, IDs are content-based, so a
+    // re-imported fill has the same ID as the stored one while identical fills within one import keep distinct IDs
+    const trulyNew = filterNewTrades(kept, tradesArray);
+
+    if (trulyNew.length > 0 || kept.length < trades.length) {
       // Don't sort by timestamp - keep in entry order
-      const merged = [...trades, ...trulyNew];
+      const merged = [...kept, ...trulyNew];
       setTrades(merged);
     }
   };
 
-  const handleDeleteTrade = (tradeId) => {
-    const updated = trades.filter(t => t.id !== tradeId);
+  // structureName null sets the book's method; a null method clears a structure's override
+  const handleMatchingMethodChange = (structureName, method) => {
+    if (structureName) {
+      setStructureMatchingMethod(structureName, method);
+    } else {
+      setBookMatchingMethod(method);
+    }
+    setLotMatching(getLotMatching());
+  };
+
+  const handleMatchingOrderChange = (order) => {
+    setMatchingOrder(order);
+    setLotMatching(getLotMatching());
+  };
+
+  const handleLotSelectionChange = (closeTradeId, openTradeIds) => {
+    setLotSelection(closeTradeId, openTradeIds);
+    setLotMatching(getLotMatching());
+  };
+
+  // A consolidated order is deleted with all of its fills
+  const handleDeleteTrade = (tradeIds) => {
+    const ids = new Set(Array.isArray(tradeIds) ? tradeIds : [tradeIds]);
+    const updated = trades.filter(t => !ids.has(t.id));
     setTrades(updated);
     // Note: useEffect will handle saving to localStorage
 
@@ -126,6 +214,13 @@ function App() {
               <BarChart2 size={18} />
               Analytics
             </button>
+            <button
+              className={`nav-btn ${activeView === 'risk' ? 'active' : ''}`}
+              onClick={() => setActiveView('risk')}
+            >
+              <Grid3x3 size={18} />
+              Risk
+            </button>
             <button
               className="nav-btn settings-btn"
               onClick={() => setShowSettings(true)}
@@ -154,7 +249,22 @@ function App() {
         )}
 
         {activeView === 'analytics' && (
-          <Analytics structuresData={structuresData} />
+          <Analytics
+            structuresData={structuresData}
+            reportingTimeZone={reportingTimeZone}
+            fillGrouping={fillGrouping}
+            onFillGroupingChange={handleFillGroupingChange}
+            lotMatching={lotMatching}
+            onMatchingMethodChange={handleMatchingMethodChange}
+            onMatchingOrderChange={handleMatchingOrderChange}
+          />
+        )}
+
+        {activeView === 'risk' && (
+          <RiskView
+            structuresData={structuresData}
+            onStructureClick={handleStructureClick}
+          />
         )}
       </main>
 
@@ -163,11 +273,24 @@ function App() {
           structure={currentSelectedStructure}
           onClose={() => setSelectedStructure(null)}
           onDeleteTrade={handleDeleteTrade}
+          reportingTimeZone={reportingTimeZone}
+          lotMatching={lotMatching}
+          onMatchingMethodChange={handleMatchingMethodChange}
+          onLotSelectionChange={handleLotSelectionChange}
+          onMarkPricesChange={handleMarkPricesChange}
+          onFinalSettlementsChange={handleFinalSettlementsChange}
         />
       )}
 
       {showSettings && (
-        <SettingsPanel onClose={() => setShowSettings(false)} existingTrades={trades} />
+        <SettingsPanel
+          onClose={() => setShowSettings(false)}
+          existingTrades={trades}
+          onReportingTimeZoneChange={setReportingTimeZone}
+          onTradesRenormalized={setTrades}
+          onMarkPricesChange={handleMarkPricesChange}
+          onSettlementsChange={handleSettlementsChange}
+        />
       )}
     </div>
   );
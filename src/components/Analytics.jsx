@@ -1,11 +1,15 @@
 import React, { useMemo, useState } from 'react';
 import {
     BarChart2, Trophy, TrendingUp, TrendingDown, Layers,
-    Target, Zap, Calendar, Clock, AlertTriangle
+    Target, Zap, Calendar, Clock, AlertTriangle, Scale
 } from 'lucide-react';
 import { MultiStructurePnLChart, DailyPnLChart } from './Charts';
+import MatchingMethodComparison from './MatchingMethodComparison';
+import { expiryClose } from '../utils/expiries';
 import { rankStructures, calculatePortfolioStats, calculateDailySummary, calculateSharpeRatio, calculateSortinoRatio } from '../utils/insightsGenerator';
-import { TICK_VALUE, TICK_SIZE, RT_COST_PER_LOT } from '../utils/fifoCalculator';
+import {
+    TICK_VALUE, TICK_SIZE, RT_COST_PER_LOT, MATCHING_METHODS, MATCHING_ORDERS, compareMatchingMethods, isLongMatch
+} from '../utils/fifoCalculator';
 
 /**
  * Calculate Maximum Drawdown
@@ -97,7 +101,10 @@ function analyzeDays(dailySummary) {
     };
 }
 
-export default function Analytics({ structuresData }) {
+export default function Analytics({
+    structuresData, reportingTimeZone, fillGrouping, onFillGroupingChange, lotMatching, onMatchingMethodChange,
+    onMatchingOrderChange
+}) {
     const [selectedChartType, setSelectedChartType] = useState('equity');
     const [rankingsMode, setRankingsMode] = useState('top'); // 'top' or 'bottom'
 
@@ -107,8 +114,31 @@ export default function Analytics({ structuresData }) {
         [structuresData]
     );
 
+    // Book realized P&L under each matching method
+    const methodComparison = useMemo(() => {
+        const perStructure = structuresData.map(s => compareMatchingMethods(s.trades, s.name, {
+            order: lotMatching?.matchingOrder,
+            lotSelections: lotMatching?.lotSelections,
+            expiry: expiryClose(s.expiry)
+        }));
+        return Object.entries(MATCHING_METHODS).map(([method, { label }], idx) => ({
+            method,
+            label,
+            realizedPnLDollars: perStructure.reduce((sum, rows) => sum + rows[idx].realizedPnLDollars, 0),
+            grossPnLDollars: perStructure.reduce((sum, rows) => sum + rows[idx].grossPnLDollars, 0),
+            totalRTCost: perStructure.reduce((sum, rows) => sum + rows[idx].totalRTCost, 0),
+            closedQty: perStructure.reduce((sum, rows) => sum + rows[idx].closedQty, 0)
+        }));
+    }, [structuresData, lotMatching]);
+
+    // Structures whose realized P&L depends on entry vs execution-time order
+    const orderDifferences = useMemo(
+        () => structuresData.filter(s => s.orderCheck?.differs),
+        [structuresData]
+    );
+
     const portfolioStats = useMemo(() => calculatePortfolioStats(structuresData), [structuresData]);
-    const dailySummary = useMemo(() => calculateDailySummary(structuresData), [structuresData]);
+    const dailySummary = useMemo(() => calculateDailySummary(structuresData, reportingTimeZone), [structuresData, reportingTimeZone]);
     const rankedStructures = useMemo(() => rankStructures(structuresData), [structuresData]);
 
     // Advanced metrics
@@ -149,8 +179,8 @@ export default function Analytics({ structuresData }) {
 
     // Long vs Short Performance Analysis
     const directionAnalysis = useMemo(() => {
-        const longs = allMatches.filter(m => m.type === 'CLOSE_LONG');
-        const shorts = allMatches.filter(m => m.type === 'COVER_SHORT');
+        const longs = allMatches.filter(m => isLongMatch(m));
+        const shorts = allMatches.filter(m => !isLongMatch(m));
 
         const calcStats = (trades) => {
             const wins = trades.filter(t => (t.netPnLDollars || 0) > 0);
@@ -273,10 +303,43 @@ export default function Analytics({ structuresData }) {
             <div className="analytics-main">
                 {/* Key Performance Indicators */}
                 <div className="analytics-section">
-                    <h2 className="section-title">
-                        <Target size={20} />
-                        Key Performance Indicators
-                    </h2>
+                    <div className="chart-header">
+                        <h2 className="section-title">
+                            <Target size={20} />
+                            Key Performance Indicators
+                        </h2>
+                        {fillGrouping && (
+                            <div className="fill-grouping">
+                                <span>Count per</span>
+                                <div className="rankings-toggle">
+                                    <button
+                                        className={fillGrouping.mode === 'fill' ? 'active' : ''}
+                                        onClick={() => onFillGroupingChange({ mode: 'fill' })}
+                                    >
+                                        Fill
+                                    </button>
+                                    <button
+                                        className={fillGrouping.mode === 'order' ? 'active' : ''}
+                                        onClick={() => onFillGroupingChange({ mode: 'order' })}
+                                        title="Consolidate partial fills by order ID, or same structure, side and price within the window"
+                                    >
+                                        Order
+                                    </button>
+                                </div>
+                                {fillGrouping.mode === 'order' && (
+                                    <label title="Fills without an order ID join an order when within this many seconds">
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            value={fillGrouping.windowSeconds}
+                                            onChange={(e) => onFillGroupingChange({ windowSeconds: Math.max(0, parseFloat(e.target.value) || 0) })}
+                                        />
+                                        s
+                                    </label>
+                                )}
+                            </div>
+                        )}
+                    </div>
 
                     <div className="kpi-grid">
                         {/* Row 1: Primary Metrics */}
@@ -285,6 +348,11 @@ export default function Analytics({ structuresData }) {
                                 {formatDollars(portfolioStats.totalPnL)}
                             </div>
                             <div className="kpi-label">Net P&L</div>
+                            {portfolioStats.totalUnrealized !== 0 && (
+                                <div className="kpi-sublabel">
+                                    Total incl. unrealized: {formatDollars(portfolioStats.totalMarkedPnL)}
+                                </div>
+                            )}
                         </div>
                         <div className="kpi-card">
                             <div className={`kpi-value ${winLossAnalysis.winRate >= 50 ? 'positive' : 'negative'}`}>
@@ -665,6 +733,62 @@ export default function Analytics({ structuresData }) {
                 </div>
 
                 {/* Charts */}
+                <div className="analytics-section">
+                    <div className="chart-header">
+                        <h2 className="section-title">
+                            <Scale size={20} />
+                            Lot Matching Methods
+                        </h2>
+                        {lotMatching && (
+                            <div className="matching-method">
+                                <span>Book method</span>
+                                <select
+                                    className="filter-select"
+                                    value={lotMatching.bookMethod}
+                                    onChange={(e) => onMatchingMethodChange(null, e.target.value)}
+                                >
+                                    {Object.entries(MATCHING_METHODS).map(([key, method]) => (
+                                        <option key={key} value={key} title={method.description}>{method.label}</option>
+                                    ))}
+                                </select>
+                                <span>Match by</span>
+                                <select
+                                    className="filter-select"
+                                    value={lotMatching.matchingOrder}
+                                    onChange={(e) => onMatchingOrderChange(e.target.value)}
+                                >
+                                    {Object.entries(MATCHING_ORDERS).map(([key, order]) => (
+                                        <option key={key} value={key} title={order.description}>{order.label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+                    </div>
+                    {orderDifferences.length > 0 && (
+                        <div className="order-warning">
+                            <AlertTriangle size={16} />
+                            <div>
+                                <strong>
+                                    {orderDifferences.length} structure{orderDifferences.length === 1 ? ' has' : 's have'} trades
+                                    entered out of execution order that change realized P&L
+                                </strong>
+                                {orderDifferences.map(s => (
+                                    <div key={s.name} className="order-warning-row">
+                                        {s.name}: entry order{' '}
+                                        <span className={s.orderCheck.entryRealizedPnLDollars >= 0 ? 'positive' : 'negative'}>
+                                            {formatDollars(s.orderCheck.entryRealizedPnLDollars)}
+                                        </span>, execution time{' '}
+                                        <span className={s.orderCheck.timeRealizedPnLDollars >= 0 ? 'positive' : 'negative'}>
+                                            {formatDollars(s.orderCheck.timeRealizedPnLDollars)}
+                                        </span>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+                    <MatchingMethodComparison rows={methodComparison} activeMethod={lotMatching?.bookMethod} />
+                </div>
+
                 <div className="analytics-section">
                     <div className="chart-header">
                         <h2 className="section-title">
@@ -3,7 +3,8 @@ import {
     LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid,
     Tooltip, ResponsiveContainer, ReferenceLine, Legend, ComposedChart, Area, Cell
 } from 'recharts';
-import { calculateCumulativePnL, calculateDailyPnL } from '../utils/fifoCalculator';
+import { calculateCumulativePnL, calculateDailyPnL, isLongMatch } from '../utils/fifoCalculator';
+import { formatDateKey } from '../utils/timeZones';
 
 // Custom tooltip for charts
 const CustomTooltip = ({ active, payload, label }) => {
@@ -44,7 +45,7 @@ export function CumulativePnLChart({ matches, title = "Cumulative P&L" }) {
 
     const chartData = data.map((d, idx) => ({
         trade: `#${idx + 1}`,
-        date: d.date?.toLocaleDateString() || '',
+        date: d.date ? formatDateKey(d.date) : '',
         pnl: d.pnlDollars,
         cumulative: d.cumulativeDollars
     }));
@@ -284,7 +285,7 @@ export function TradePnLChart({ matches }) {
         trade: `#${startIndex + idx + 1}`,
         pnl: m.netPnLDollars || 0,
         gross: m.pnlDollars || 0,
-        type: m.type === 'CLOSE_LONG' ? 'Long' : 'Short'
+        type: isLongMatch(m) ? 'Long' : 'Short'
     }));
 
     return (
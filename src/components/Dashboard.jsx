@@ -1,8 +1,10 @@
 import React, { useState, useMemo } from 'react';
-import { Search, Activity } from 'lucide-react';
+import { Search, Activity, CalendarClock } from 'lucide-react';
 import StructureCard from './StructureCard';
 import { TICK_VALUE, TICK_SIZE, RT_COST_PER_LOT } from '../utils/fifoCalculator';
 import { calculateSharpeRatio, calculateSortinoRatio } from '../utils/insightsGenerator';
+import { calculateBookRisk, formatRiskAmount } from '../utils/exposure';
+import { UPCOMING_EXPIRY_DAYS } from '../utils/expiries';
 
 export default function Dashboard({ structuresData, onStructureClick }) {
     const [search, setSearch] = useState('');
@@ -51,6 +53,10 @@ export default function Dashboard({ structuresData, onStructureClick }) {
         const totalOpenLong = structuresData.reduce((sum, s) => sum + (s.openLongQty || 0), 0);
         const totalOpenShort = structuresData.reduce((sum, s) => sum + (s.openShortQty || 0), 0);
 
+        // Open lots valued at their marks; structures without a mark add nothing
+        const totalUnrealizedDollars = structuresData.reduce((sum, s) => sum + (s.unrealizedPnLDollars || 0), 0);
+        const unmarkedOpenCount = structuresWithOpen.filter(s => s.markPrice === null).length;
+
         return {
             totalPnLDollars,
             totalGrossDollars,
@@ -68,10 +74,23 @@ export default function Dashboard({ structuresData, onStructureClick }) {
             openPositionsCount: structuresWithOpen.length,
             totalOpenLong,
             totalOpenShort,
+            totalUnrealizedDollars,
+            totalMarkedPnLDollars: totalPnLDollars + totalUnrealizedDollars,
+            unmarkedOpenCount,
             totalStructures: structuresData.length
         };
     }, [structuresData]);
 
+    // Rate risk of all open positions, netted by contract month, per currency
+    const bookRisk = useMemo(() => calculateBookRisk(structuresData), [structuresData]);
+
+    // Open positions expiring soon, or expired and waiting for their final settlement
+    const upcomingExpiries = useMemo(() => structuresData
+        .filter(s => s.netPosition !== 0 && s.expiry && s.expiry.daysToExpiry <= UPCOMING_EXPIRY_DAYS)
+        .sort((a, b) => a.expiry.timestamp - b.expiry.timestamp),
+        [structuresData]
+    );
+
     // Get unique structure types for filter
     const structureTypes = useMemo(() => {
         const types = new Set();
@@ -193,7 +212,7 @@ export default function Dashboard({ structuresData, onStructureClick }) {
             {/* Summary Stats - Hero Row + Secondary Row */}
             <div className="dashboard-stats">
                 {/* Hero Row: Net P&L and RT Costs */}
-                <div className="hero-stats-row">
+                <div className={`hero-stats-row ${summaryStats.openPositionsCount > 0 ? 'with-total' : ''}`}>
                     <div className="stat-card hero-primary">
                         <div className={`stat-value ${summaryStats.totalPnLDollars >= 0 ? 'positive' : 'negative'}`}>
                             {formatDollars(summaryStats.totalPnLDollars)}
@@ -203,6 +222,18 @@ export default function Dashboard({ structuresData, onStructureClick }) {
                             Gross: {formatDollars(summaryStats.totalGrossDollars)}
                         </div>
                     </div>
+                    {summaryStats.openPositionsCount > 0 && (
+                        <div className="stat-card hero-secondary">
+                            <div className={`stat-value ${summaryStats.totalMarkedPnLDollars >= 0 ? 'positive' : 'negative'}`}>
+                                {formatDollars(summaryStats.totalMarkedPnLDollars)}
+                            </div>
+                            <div className="stat-label">Total P&L</div>
+                            <div className="stat-subtitle">
+                                Unrealized: {formatDollars(summaryStats.totalUnrealizedDollars)}
+                                {summaryStats.unmarkedOpenCount > 0 && ` • ${summaryStats.unmarkedOpenCount} open without mark`}
+                            </div>
+                        </div>
+                    )}
                     <div className="stat-card hero-secondary">
                         <div className="stat-value negative">
                             -${summaryStats.totalRTCost.toFixed(2)}
@@ -245,8 +276,81 @@ export default function Dashboard({ structuresData, onStructureClick }) {
                         <div className="stat-label">Avg P&L/Trade</div>
                     </div>
                 </div>
+
+                {/* Open Risk Row: open positions and their rate risk */}
+                {summaryStats.openPositionsCount > 0 && (
+                    <div className="performance-stats-row">
+                        <div className="stat-card compact">
+                            <div className="stat-value">
+                                <span style={{ color: 'var(--pnl-positive)' }}>▲{summaryStats.totalOpenLong}</span>
+                                <span style={{ color: 'var(--text-muted)' }}>/</span>
+                                <span style={{ color: 'var(--pnl-negative)' }}>▼{summaryStats.totalOpenShort}</span>
+                            </div>
+                            <div className="stat-label">Open Lots ({summaryStats.openPositionsCount} structures)</div>
+                        </div>
+                        <div
+                            className="stat-card compact"
+                            title={bookRisk.noDv01.length > 0 ? `Bond futures have no DV01 here: ${bookRisk.noDv01.join(', ')}` : undefined}
+                        >
+                            <div className="stat-value risk-currency-lines">
+                                {bookRisk.byCurrency.filter(total => total.grossDv01 > 0).map(total => (
+                                    <span key={total.currency} className={total.dv01 >= 0 ? 'positive' : 'negative'}>
+                                        {formatRiskAmount(total.dv01, total.currency, true)}
+                                    </span>
+                                ))}
+                            </div>
+                            <div className="stat-label">
+                                Book DV01 (per bp){bookRisk.noDv01.length > 0 && ' • excl. bond futures'}
+                            </div>
+                        </div>
+                        <div className="stat-card compact">
+                            <div className="stat-value risk-currency-lines">
+                                {bookRisk.byCurrency.filter(total => total.grossDv01 > 0).map(total => (
+                                    <span key={total.currency}>{formatRiskAmount(total.grossDv01, total.currency)}</span>
+                                ))}
+                            </div>
+                            <div className="stat-label">Gross DV01 by Month</div>
+                        </div>
+                        <div className="stat-card compact" title={bookRisk.unmodeled.length > 0 ? `Not included: ${bookRisk.unmodeled.join(', ')}` : undefined}>
+                            <div className="stat-value risk-currency-lines">
+                                {bookRisk.byCurrency.map(total => (
+                                    <span key={total.currency}>{formatRiskAmount(total.grossTickRisk, total.currency)}</span>
+                                ))}
+                            </div>
+                            <div className="stat-label">
+                                Tick Risk (per tick){bookRisk.unmodeled.length > 0 && ` • ${bookRisk.unmodeled.length} not modeled`}
+                            </div>
+                        </div>
+                    </div>
+                )}
             </div>
 
+            {/* Upcoming Expiries */}
+            {upcomingExpiries.length > 0 && (
+                <div className="upcoming-expiries">
+                    <div className="upcoming-expiries-title">
+                        <CalendarClock size={16} />
+                        Upcoming Expiries
+                    </div>
+                    {upcomingExpiries.map(structure => (
+                        <button
+                            key={structure.name}
+                            className={`expiry-row ${structure.expiry.expired ? 'expired' : ''}`}
+                            onClick={() => onStructureClick(structure)}
+                        >
+                            <span className="expiry-name">{structure.name}</span>
+                            <span className={structure.netPosition > 0 ? 'positive' : 'negative'}>
+                                {structure.netPosition > 0 ? '+' : ''}{structure.netPosition} lots
+                            </span>
+                            <span>{structure.expiry.contract} • {structure.expiry.date}</span>
+                            <span className="expiry-days">
+                                {structure.expiry.expired ? 'Expired - needs final settlement' : `${structure.expiry.daysToExpiry}d`}
+                            </span>
+                        </button>
+                    ))}
+                </div>
+            )}
+
             {/* Filters */}
             <div className="filter-bar">
                 <div style={{ position: 'relative', flex: 1, minWidth: '200px' }}>
@@ -0,0 +1,324 @@
+import React, { useState, useMemo } from 'react';
+import { Check, X, AlertTriangle, Eye } from 'lucide-react';
+import { buildTradeFromFields, compareTrades, assignTradeIds, ROW_FLAGS } from '../utils/tradeParser';
+import { aggregateLegFills, DEFAULT_LEG_WINDOW_SECONDS } from '../utils/legAggregation';
+import { loadSettings, saveSettings } from '../utils/storage';
+import { formatDateKey, formatTime } from '../utils/timeZones';
+import ParseDiagnostics from './ParseDiagnostics';
+
+const FIELD_COLUMNS = [
+    { key: 'date', label: 'Date' },
+    { key: 'time', label: 'Time' },
+    { key: 'exchange', label: 'Exchange' },
+    { key: 'structure', label: 'Structure' },
+    { key: 'side', label: 'Side' },
+    { key: 'quantity', label: 'Qty' },
+    { key: 'price', label: 'Price' },
+    { key: 'execId', label: 'Exec ID' },
+    { key: 'orderId', label: 'Order ID' },
+    { key: 'account', label: 'Account' },
+    { key: 'trader', label: 'Trader' }
+];
+
+// Rows rendered at once; large files page in with "Show more"
+const PAGE_SIZE = 200;
+
+/**
+ * Preview rows for sources that only return trades (FIX reports)
+ */
+function rowsFromTrades(trades) {
+    return trades.map((trade, idx) => ({
+        line: idx + 1,
+        content: `${trade.side} ${trade.quantity} ${trade.originalStructure} @ ${trade.price}`,
+        fields: {
+            date: formatDateKey(trade.date, trade.timeZone),
+            time: formatTime(trade.date, trade.timeZone),
+            exchange: trade.exchange,
+            structure: trade.originalStructure,
+            side: trade.side,
+            quantity: trade.quantity,
+            price: trade.price,
+            execId: trade.execId || '',
+            orderId: trade.orderId || '',
+            account: trade.account || '',
+            trader: trade.trader || ''
+        },
+        buildOptions: { sequence: trade.sequence, source: trade.source },
+        trade,
+        flags: [],
+        issues: []
+    }));
+}
+
+function isFixFill(trade) {
+    return Boolean(trade && trade.source === 'fix' && trade.execId);
+}
+
+/**
+ * Final IDs of confirmed trades
+ * FIX fills keep the ExecID-based ID from parsing, so re-sending the log still merges after an edit
+ */
+function confirmedTradeIds(trades) {
+    return assignTradeIds(trades).map((trade, idx) => (
+        isFixFill(trades[idx]) ? { ...trade, id: trades[idx].id } : trade
+    ));
+}
+
+/**
+ * Re-resolve a row after its fields or options changed
+ */
+function rebuildRow(row, fields, buildOptions) {
+    const rebuilt = buildTradeFromFields(fields, buildOptions);
+    // Keep source-specific fields (e.g. FIX exec ids) when a row is re-resolved
+    let trade = rebuilt.trade && row.trade ? { ...row.trade, ...rebuilt.trade } : rebuilt.trade;
+    // A FIX fill keeps the ID of its execution report while its ExecID is unchanged
+    if (trade && isFixFill(row.trade) && trade.execId === row.trade.execId) {
+        trade = { ...trade, id: row.trade.id };
+    }
+    return {
+        ...row,
+        fields,
+        buildOptions,
+        trade,
+        flags: rebuilt.flags,
+        issues: rebuilt.issues,
+        // A row that becomes valid through an edit is included
+        excluded: !trade || (row.trade ? row.excluded : false)
+    };
+}
+
+/**
+ * Staged import: review what was detected on each line, fix cells inline,
+ * exclude rows, then commit only the confirmed trades
+ */
+export default function ImportPreview({ result, knownStructures = [], onConfirm, onCancel }) {
+    const [rows, setRows] = useState(() =>
+        (result.rows || rowsFromTrades(result.trades)).map(row => ({ ...row, excluded: !row.trade }))
+    );
+    const [onlyFlagged, setOnlyFlagged] = useState(false);
+    const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+    // Rebuild spreads from outright leg fills (for sources that export legs, not spreads)
+    const [legAggregation, setLegAggregation] = useState(() => ({
+        enabled: false,
+        windowSeconds: DEFAULT_LEG_WINDOW_SECONDS,
+        ...loadSettings().legAggregation
+    }));
+
+    const summary = useMemo(() => ({
+        included: rows.filter(r => !r.excluded && r.trade).length,
+        flagged: rows.filter(r => r.trade && r.flags.length > 0).length,
+        invalid: rows.filter(r => !r.trade).length
+    }), [rows]);
+
+    const aggregated = useMemo(() => {
+        if (!legAggregation.enabled) return null;
+        const included = rows.filter(r => !r.excluded && r.trade).map(r => r.trade);
+        return aggregateLegFills(included, { windowSeconds: legAggregation.windowSeconds, knownStructures });
+    }, [rows, legAggregation, knownStructures]);
+
+    const visibleRows = useMemo(() => {
+        const filtered = onlyFlagged ? rows.filter(r => !r.trade || r.flags.length > 0) : rows;
+        return filtered.slice(0, visibleCount);
+    }, [rows, onlyFlagged, visibleCount]);
+
+    // How numeric dates were read, and whether the batch left it open
+    const dateOrderNote = useMemo(() => {
+        const info = result.dateOrder;
+        if (!info) return null;
+        const current = rows.find(r => r.buildOptions?.dateFormat)?.buildOptions.dateFormat || info.order;
+        if (current !== info.order) return { type: 'info', text: `Numeric dates read as ${current}` };
+        if (info.conflicting) return { type: 'warning', text: 'Dates in this batch disagree on day/month order - choose one below' };
+        if (info.order === 'auto' && info.ambiguous > 0) {
+            return { type: 'warning', text: `Day/month order could not be inferred for ${info.ambiguous} dates - choose one below` };
+        }
+        if (info.inferred) return { type: 'info', text: `Numeric dates read as ${info.order} (inferred from dates that read only one way)` };
+        return null;
+    }, [result.dateOrder, rows]);
+
+    const updateCell = (line, key, value) => {
+        setRows(prev => prev.map(row => (
+            row.line === line ? rebuildRow(row, { ...(row.fields || {}), [key]: value }, row.buildOptions) : row
+        )));
+    };
+
+    // Re-read every row's dates with the chosen order
+    const applyDateFormat = (dateFormat) => {
+        setRows(prev => prev.map(row => (
+            row.fields ? rebuildRow(row, row.fields, { ...row.buildOptions, dateFormat }) : row
+        )));
+    };
+
+    // Use a known structure for every row that failed on the same unrecognized token
+    const mapStructure = (token, structure) => {
+        setRows(prev => prev.map(row => {
+            const matches = !row.trade && (row.issues || []).some(i => i.code === 'UNKNOWN_STRUCTURE' && i.token === token);
+            return matches ? rebuildRow(row, { ...row.fields, structure }, row.buildOptions) : row;
+        }));
+    };
+
+    const toggleRow = (line) => {
+        setRows(prev => prev.map(row => (
+            row.line === line && row.trade ? { ...row, excluded: !row.excluded } : row
+        )));
+    };
+
+    const updateLegAggregation = (changes) => {
+        const next = { ...legAggregation, ...changes };
+        setLegAggregation(next);
+        saveSettings({ ...loadSettings(), legAggregation: next });
+    };
+
+    // Stored fills this FIX log busts, removed on confirm
+    const bustCount = result.bustedExecIds?.length || 0;
+
+    const handleConfirm = () => {
+        const trades = aggregated
+            ? aggregated.trades
+            : rows.filter(r => !r.excluded && r.trade).map(r => r.trade).sort(compareTrades);
+        onConfirm(confirmedTradeIds(trades));
+    };
+
+    const confirmCount = aggregated ? aggregated.trades.length : summary.included;
+
+    const rowStatus = (row) => {
+        if (!row.trade) {
+            const text = (row.issues || []).map(i => i.message).join('; ') || 'Not parsed';
+            return { className: 'invalid', text };
+        }
+        if (row.flags.length > 0) return { className: 'flagged', text: row.flags.map(f => ROW_FLAGS[f]).join('; ') };
+        return { className: 'ok', text: 'OK' };
+    };
+
+    return (
+        <div className="import-preview">
+            <div className="preview-header">
+                <Eye size={16} />
+                <span>
+                    Review import: <strong>{summary.included}</strong> to add
+                    {summary.flagged > 0 && <> • <span className="flagged-count">{summary.flagged} flagged</span></>}
+                    {summary.invalid > 0 && <> • <span className="invalid-count">{summary.invalid} not parsed</span></>}
+                    {bustCount > 0 && <> • <span className="invalid-count">{bustCount} stored fills busted</span></>}
+                </span>
+                <label className="preview-filter">
+                    <input
+                        type="checkbox"
+                        checked={onlyFlagged}
+                        onChange={(e) => setOnlyFlagged(e.target.checked)}
+                    />
+                    Only flagged / failed rows
+                </label>
+            </div>
+
+            {dateOrderNote && (
+                <div className={`date-order-note ${dateOrderNote.type}`}>
+                    {dateOrderNote.type === 'warning' && <AlertTriangle size={14} />}
+                    {dateOrderNote.text}
+                </div>
+            )}
+
+            <div className="leg-aggregation">
+                <label>
+                    <input
+                        type="checkbox"
+                        checked={legAggregation.enabled}
+                        onChange={(e) => updateLegAggregation({ enabled: e.target.checked })}
+                    />
+                    Combine outright leg fills into spreads
+                </label>
+                {legAggregation.enabled && (
+                    <>
+                        <label title="Legs without an order ID are combined when filled within this many seconds">
+                            window
+                            <input
+                                type="number"
+                                min="0"
+                                value={legAggregation.windowSeconds}
+                                onChange={(e) => updateLegAggregation({ windowSeconds: Math.max(0, parseFloat(e.target.value) || 0) })}
+                            />
+                            s
+                        </label>
+                        <span>{aggregated.legsUsed} leg fills → {aggregated.spreads} spreads</span>
+                        {aggregated.unmatched.length > 0 && (
+                            <span className="warning" title={aggregated.unmatched.map(group => group.map(t => `${t.side} ${t.quantity} ${t.structure}`).join(', ')).join('\n')}>
+                                <AlertTriangle size={12} /> {aggregated.unmatched.length} leg groups fit no structure (kept as outrights)
+                            </span>
+                        )}
+                    </>
+                )}
+            </div>
+
+            <ParseDiagnostics
+                rows={rows}
+                knownStructures={knownStructures}
+                onDateFormat={applyDateFormat}
+                onMapStructure={mapStructure}
+            />
+
+            <div className="preview-grid">
+                <table>
+                    <thead>
+                        <tr>
+                            <th></th>
+                            <th>Line</th>
+                            {FIELD_COLUMNS.map(col => <th key={col.key}>{col.label}</th>)}
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {visibleRows.map(row => {
+                            const status = rowStatus(row);
+                            return (
+                                <tr key={row.line} className={`preview-row ${status.className} ${row.excluded ? 'excluded' : ''}`}>
+                                    <td>
+                                        <input
+                                            type="checkbox"
+                                            checked={!row.excluded}
+                                            disabled={!row.trade}
+                                            onChange={() => toggleRow(row.line)}
+                                            title={row.trade ? 'Include this row' : 'Fix the row before including it'}
+                                        />
+                                    </td>
+                                    <td className="line-cell" title={row.content}>{row.line}</td>
+                                    {FIELD_COLUMNS.map(col => (
+                                        <td key={col.key}>
+                                            <input
+                                                type="text"
+                                                className={`preview-cell cell-${col.key}`}
+                                                value={row.fields?.[col.key] ?? ''}
+                                                onChange={(e) => updateCell(row.line, col.key, e.target.value)}
+                                            />
+                                            {col.key === 'structure' && row.trade && row.trade.structure !== row.fields?.structure && (
+                                                <div className="resolved-value">→ {row.trade.structure}</div>
+                                            )}
+                                        </td>
+                                    ))}
+                                    <td className={`status-cell ${status.className}`}>
+                                        {status.className === 'flagged' && <AlertTriangle size={12} />}
+                                        {status.text}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+
+            {visibleRows.length < (onlyFlagged ? summary.flagged + summary.invalid : rows.length) && (
+                <button className="btn btn-secondary show-more-btn" onClick={() => setVisibleCount(c => c + PAGE_SIZE)}>
+                    Show more rows
+                </button>
+            )}
+
+            <div className="preview-actions">
+                <button className="btn btn-primary" onClick={handleConfirm} disabled={confirmCount === 0 && bustCount === 0}>
+                    <Check size={16} />
+                    Add {confirmCount} Trades{bustCount > 0 && `, Remove ${bustCount} Busted`}
+                </button>
+                <button className="btn btn-secondary" onClick={onCancel}>
+                    <X size={16} />
+                    Discard
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,162 @@
+import React, { useState, useMemo } from 'react';
+import { Save, X, Wand2 } from 'lucide-react';
+import { suggestImportProfile } from '../utils/tradeParser';
+import { PROFILE_FIELDS, DELIMITERS, DATE_FORMATS, splitRow } from '../utils/importProfiles';
+
+/**
+ * Column-mapping wizard: builds an import profile from a sample paste
+ */
+export default function ImportProfileWizard({ sample, onSave, onCancel }) {
+    const [draft, setDraft] = useState(() => suggestImportProfile(sample));
+    const [buyWords, setBuyWords] = useState(() => draft?.sideVocabulary.buy.join(', ') || '');
+    const [sellWords, setSellWords] = useState(() => draft?.sideVocabulary.sell.join(', ') || '');
+
+    // Sample rows split with the currently selected delimiter
+    const sampleRows = useMemo(() => {
+        if (!draft) return [];
+        return sample.split('\n')
+            .filter(line => line.trim())
+            .slice(0, draft.hasHeader ? 4 : 3)
+            .map(line => splitRow(line, draft.delimiter));
+    }, [sample, draft]);
+
+    const columnCount = Math.max(0, ...sampleRows.map(r => r.length));
+
+    if (!draft) {
+        return (
+            <div className="profile-wizard">
+                <p className="wizard-hint">Paste a few sample lines from the blotter first, then open the wizard.</p>
+                <div className="wizard-actions">
+                    <button className="btn btn-secondary" onClick={onCancel}>Close</button>
+                </div>
+            </div>
+        );
+    }
+
+    const updateDraft = (field, value) => {
+        setDraft(prev => ({ ...prev, [field]: value }));
+    };
+
+    const updateColumn = (idx, field) => {
+        setDraft(prev => {
+            const columns = [...prev.columns];
+            while (columns.length < columnCount) columns.push('ignore');
+            columns[idx] = field;
+            return { ...prev, columns };
+        });
+    };
+
+    const parseWords = (text) => text.split(',').map(w => w.trim()).filter(Boolean);
+
+    const handleSave = () => {
+        if (!draft.name.trim()) return;
+        const columns = Array.from({ length: columnCount }, (_, idx) => draft.columns[idx] || 'ignore');
+        onSave({
+            ...draft,
+            name: draft.name.trim(),
+            columns,
+            sideVocabulary: { buy: parseWords(buyWords), sell: parseWords(sellWords) }
+        });
+    };
+
+    const headerRow = draft.hasHeader ? sampleRows[0] : null;
+    const dataRows = draft.hasHeader ? sampleRows.slice(1) : sampleRows;
+
+    return (
+        <div className="profile-wizard">
+            <div className="wizard-header">
+                <Wand2 size={16} />
+                <span>New import profile from sample</span>
+                <button className="icon-btn" onClick={onCancel} title="Cancel">
+                    <X size={14} />
+                </button>
+            </div>
+
+            <div className="wizard-options">
+                <div className="form-group">
+                    <label>Profile Name *</label>
+                    <input
+                        type="text"
+                        value={draft.name}
+                        onChange={(e) => updateDraft('name', e.target.value)}
+                        placeholder="e.g., TT desk blotter"
+                    />
+                </div>
+                <div className="form-group">
+                    <label>Delimiter</label>
+                    <select value={draft.delimiter} onChange={(e) => updateDraft('delimiter', e.target.value)}>
+                        {Object.entries(DELIMITERS).map(([key, d]) => (
+                            <option key={key} value={key}>{d.label}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="form-group">
+                    <label>Date Format</label>
+                    <select value={draft.dateFormat} onChange={(e) => updateDraft('dateFormat', e.target.value)}>
+                        <option value="auto">Auto-detect</option>
+                        {DATE_FORMATS.map(f => (
+                            <option key={f} value={f}>{f}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="form-group">
+                    <label>Buy Words</label>
+                    <input type="text" value={buyWords} onChange={(e) => setBuyWords(e.target.value)} />
+                </div>
+                <div className="form-group">
+                    <label>Sell Words</label>
+                    <input type="text" value={sellWords} onChange={(e) => setSellWords(e.target.value)} />
+                </div>
+                <label className="wizard-checkbox">
+                    <input
+                        type="checkbox"
+                        checked={draft.hasHeader}
+                        onChange={(e) => updateDraft('hasHeader', e.target.checked)}
+                    />
+                    First line is a header
+                </label>
+            </div>
+
+            <div className="wizard-columns">
+                <table>
+                    <thead>
+                        <tr>
+                            {Array.from({ length: columnCount }, (_, idx) => (
+                                <th key={idx}>
+                                    <select
+                                        value={draft.columns[idx] || 'ignore'}
+                                        onChange={(e) => updateColumn(idx, e.target.value)}
+                                    >
+                                        {PROFILE_FIELDS.map(f => (
+                                            <option key={f.key} value={f.key}>{f.label}</option>
+                                        ))}
+                                    </select>
+                                    {headerRow && <div className="column-header-name">{headerRow[idx]}</div>}
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {dataRows.map((row, rowIdx) => (
+                            <tr key={rowIdx}>
+                                {Array.from({ length: columnCount }, (_, idx) => (
+                                    <td key={idx}>{row[idx]}</td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="wizard-actions">
+                <button className="btn btn-primary" onClick={handleSave} disabled={!draft.name.trim()}>
+                    <Save size={16} />
+                    Save Profile
+                </button>
+                <button className="btn btn-secondary" onClick={onCancel}>
+                    Cancel
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,43 @@
+import React from 'react';
+
+const formatDollars = (value) => {
+    if (value === undefined || value === null || isNaN(value)) return '$0.00';
+    const prefix = value > 0 ? '+' : '';
+    return prefix + '$' + value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+};
+
+/**
+ * Realized P&L under each lot matching method, side by side
+ * @param {Array} rows - From compareMatchingMethods (or their sums across structures)
+ * @param {string} activeMethod - Method currently used, highlighted
+ */
+export default function MatchingMethodComparison({ rows, activeMethod }) {
+    return (
+        <div className="method-comparison">
+            <table>
+                <thead>
+                    <tr>
+                        <th>Method</th>
+                        <th>Net P&L</th>
+                        <th>Gross P&L</th>
+                        <th>RT Costs</th>
+                        <th>Lots Closed</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map(row => (
+                        <tr key={row.method} className={row.method === activeMethod ? 'active' : ''}>
+                            <td>{row.label}</td>
+                            <td className={row.realizedPnLDollars >= 0 ? 'positive' : 'negative'}>
+                                {formatDollars(row.realizedPnLDollars)}
+                            </td>
+                            <td>{formatDollars(row.grossPnLDollars)}</td>
+                            <td>-${(row.totalRTCost || 0).toFixed(2)}</td>
+                            <td>{row.closedQty}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
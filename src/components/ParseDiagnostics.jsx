@@ -0,0 +1,117 @@
+import React, { useState, useMemo } from 'react';
+import { AlertCircle, Calendar, Shuffle } from 'lucide-react';
+import { DATE_FORMATS } from '../utils/importProfiles';
+
+// Failed lines listed before "Show all"
+const COLLAPSED_LINES = 5;
+
+/**
+ * Render a line with the offending token highlighted
+ */
+function HighlightedLine({ content, tokens }) {
+    const token = tokens.find(t => t && content.includes(t));
+    if (!token) return <span>{content}</span>;
+
+    const idx = content.indexOf(token);
+    return (
+        <span>
+            {content.slice(0, idx)}
+            <mark className="diagnostic-token">{token}</mark>
+            {content.slice(idx + token.length)}
+        </span>
+    );
+}
+
+/**
+ * Field-level diagnostics for staged rows, with one-click fixes:
+ * re-read every date with another order, or map an unknown structure to a known one
+ */
+export default function ParseDiagnostics({ rows, knownStructures = [], onDateFormat, onMapStructure }) {
+    const [showAll, setShowAll] = useState(false);
+
+    const failedRows = useMemo(() => rows.filter(r => !r.trade), [rows]);
+
+    const currentDateFormat = rows.find(r => r.buildOptions?.dateFormat)?.buildOptions.dateFormat || 'auto';
+
+    // Offer the date orders that can read dates which failed or were ambiguous
+    const dateFormatOptions = useMemo(() => {
+        const options = new Set();
+        for (const row of rows) {
+            for (const issue of row.issues || []) {
+                if (issue.alternatives) issue.alternatives.forEach(f => options.add(f));
+            }
+        }
+        return DATE_FORMATS.filter(f => options.has(f));
+    }, [rows]);
+
+    const unknownStructures = useMemo(() => {
+        const tokens = failedRows.flatMap(r => (r.issues || [])
+            .filter(issue => issue.code === 'UNKNOWN_STRUCTURE')
+            .map(issue => issue.token));
+        return [...new Set(tokens)];
+    }, [failedRows]);
+
+    if (failedRows.length === 0 && dateFormatOptions.length === 0) return null;
+
+    const listedRows = showAll ? failedRows : failedRows.slice(0, COLLAPSED_LINES);
+
+    return (
+        <div className="parse-diagnostics">
+            {dateFormatOptions.length > 0 && (
+                <div className="diagnostic-fix">
+                    <Calendar size={14} />
+                    <span>Read numeric dates as</span>
+                    {dateFormatOptions.map(format => (
+                        <button
+                            key={format}
+                            className={`fix-btn ${format === currentDateFormat ? 'active' : ''}`}
+                            onClick={() => onDateFormat(format)}
+                        >
+                            {format}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {unknownStructures.map(token => (
+                <div key={token} className="diagnostic-fix">
+                    <Shuffle size={14} />
+                    <span>Map <strong>{token}</strong> to</span>
+                    <select value="" onChange={(e) => e.target.value && onMapStructure(token, e.target.value)}>
+                        <option value="">Choose a structure…</option>
+                        {knownStructures.map(s => (
+                            <option key={s} value={s}>{s}</option>
+                        ))}
+                    </select>
+                </div>
+            ))}
+
+            {failedRows.length > 0 && (
+                <div className="diagnostic-lines">
+                    <div className="diagnostic-header">
+                        <AlertCircle size={14} />
+                        <span>{failedRows.length} lines could not be parsed</span>
+                    </div>
+                    {listedRows.map(row => (
+                        <div key={row.line} className="diagnostic-line">
+                            <div className="diagnostic-content">
+                                <span className="diagnostic-line-number">Line {row.line}:</span>
+                                <HighlightedLine content={row.content} tokens={(row.issues || []).map(i => i.token)} />
+                            </div>
+                            <ul className="diagnostic-issues">
+                                {(row.issues || []).map((issue, idx) => (
+                                    <li key={idx}>{issue.message}</li>
+                                ))}
+                            </ul>
+                        </div>
+                    ))}
+                    {failedRows.length > COLLAPSED_LINES && (
+                        <button className="fix-btn" onClick={() => setShowAll(!showAll)}>
+                            {showAll ? 'Show fewer' : `Show all ${failedRows.length}`}
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
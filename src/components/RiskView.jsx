@@ -0,0 +1,88 @@
+import React, { useMemo } from 'react';
+import { Grid3x3, ShieldCheck, AlertTriangle } from 'lucide-react';
+import { calculateOutrightExposure } from '../utils/exposure';
+
+/**
+ * Outright exposure strip: open positions of every structure broken down into
+ * contract-month lots, per product, with the structures behind each month
+ */
+export default function RiskView({ structuresData, onStructureClick }) {
+    const exposure = useMemo(() => calculateOutrightExposure(structuresData), [structuresData]);
+
+    const formatLots = (lots) => (lots > 0 ? `+${lots}` : String(lots));
+
+    const openStructure = (name) => {
+        const structure = structuresData.find(s => s.name === name);
+        if (structure) onStructureClick(structure);
+    };
+
+    if (exposure.products.length === 0 && exposure.unmodeled.length === 0) {
+        return (
+            <div className="empty-state">
+                <ShieldCheck size={80} />
+                <h3>No Open Positions</h3>
+                <p>Outright exposure shows here once a structure has an open position</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="risk-view">
+            <div className="analytics-section">
+                <h2 className="section-title">
+                    <Grid3x3 size={20} />
+                    Outright Exposure by Contract Month
+                </h2>
+                <p className="exposure-description">
+                    Open structure positions broken into outright lots through their leg ratios.
+                    Lots in the same month net across structures.
+                </p>
+
+                {exposure.products.map(product => (
+                    <div key={product.instrument} className="exposure-product">
+                        <div className="exposure-header">
+                            <span className="exposure-instrument">{product.instrument}</span>
+                            {product.product && <span className="exposure-name">{product.product.name}</span>}
+                            <span className="exposure-totals">
+                                Net {formatLots(product.netLots)} • Gross {product.grossLots} lots
+                            </span>
+                        </div>
+                        <div className="exposure-strip">
+                            {product.months.map(bucket => (
+                                <div
+                                    key={bucket.contract.label}
+                                    className={`exposure-month ${bucket.lots > 0 ? 'long' : bucket.lots < 0 ? 'short' : 'flat'}`}
+                                >
+                                    <div className="exposure-month-label">{bucket.contract.label}</div>
+                                    <div className="exposure-lots">{formatLots(bucket.lots)}</div>
+                                    <div className="exposure-contributors">
+                                        {bucket.contributors.map(contributor => (
+                                            <button
+                                                key={contributor.structure}
+                                                className={contributor.lots > 0 ? 'long' : 'short'}
+                                                onClick={() => openStructure(contributor.structure)}
+                                                title={`${formatLots(contributor.position)} ${contributor.structure} × ${contributor.ratio} leg ratio`}
+                                            >
+                                                {formatLots(contributor.lots)} {contributor.structure}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                ))}
+
+                {exposure.unmodeled.length > 0 && (
+                    <div className="order-warning">
+                        <AlertTriangle size={16} />
+                        <div>
+                            <strong>Not broken down (no leg model for the name)</strong>
+                            <div className="order-warning-row">{exposure.unmodeled.join(', ')}</div>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { Settings as SettingsIcon, Plus, Trash2, Save, X, RefreshCw, Check } from 'lucide-react';
 import {
     STRUCTURE_RT_LEGS,
@@ -12,8 +12,25 @@ import {
     getTradingConfig
 } from '../utils/structureConfig';
 import { saveSettings, loadSettings } from '../utils/storage';
+import {
+    EXCHANGE_TIME_ZONES,
+    REPORTING_TIME_ZONES,
+    LOCAL_TIME_ZONE,
+    getReportingTimeZone,
+    setReportingTimeZone
+} from '../utils/timeZones';
+import { PRODUCTS } from '../utils/productRegistry';
+import { MONTH_NAMES } from '../utils/structureGrammar';
+import { getStructureAliases, addStructureAlias, removeStructureAlias } from '../utils/structureAliases';
+import { renormalizeTrades, resolveStructureName } from '../utils/tradeParser';
+import { getMarkPrices, importMarkPrices, removeMarkPrice } from '../utils/markPrices';
+import { importSettlements, clearSettlements, getSettlementsSummary } from '../utils/settlements';
+import { formatDateTime } from '../utils/timeZones';
 
-export default function SettingsPanel({ onClose, existingTrades = [] }) {
+export default function SettingsPanel({
+    onClose, existingTrades = [], onReportingTimeZoneChange, onTradesRenormalized, onMarkPricesChange,
+    onSettlementsChange
+}) {
     const [customStructures, setCustomStructures] = useState({});
     const [newStructure, setNewStructure] = useState({ name: '', rtLegs: 1, type: 'Calendar' });
     const [showAddForm, setShowAddForm] = useState(false);
@@ -25,6 +42,7 @@ export default function SettingsPanel({ onClose, existingTrades = [] }) {
         rtCostPerLot: RT_COST_PER_LOT
     });
     const [configChanged, setConfigChanged] = useState(false);
+    const [reportingZone, setReportingZone] = useState(() => getReportingTimeZone());
     const [showNotification, setShowNotification] = useState(false);
 
     // Structure types for dropdown with RT leg defaults
@@ -40,6 +58,27 @@ export default function SettingsPanel({ onClose, existingTrades = [] }) {
         { name: 'Custom', rtLegs: 1, description: 'Define your own' }
     ];
 
+    // Structure alias rules (broker spelling -> canonical structure)
+    const [aliasRules, setAliasRules] = useState(() => getStructureAliases());
+    const [newAlias, setNewAlias] = useState({ pattern: '', isRegex: false, structure: '' });
+    const [aliasError, setAliasError] = useState(null);
+
+    // Mark prices for open positions (structure -> { price, timestamp })
+    const [markPrices, setMarkPrices] = useState(() => getMarkPrices());
+    const [markInput, setMarkInput] = useState('');
+    const [markErrors, setMarkErrors] = useState([]);
+
+    // End-of-day settles for the daily mark-to-market series
+    const [settlementsSummary, setSettlementsSummary] = useState(() => getSettlementsSummary());
+    const [settlementInput, setSettlementInput] = useState('');
+    const [settlementErrors, setSettlementErrors] = useState([]);
+
+    // How many stored trades the current rules would regroup
+    const renormalizePreview = useMemo(
+        () => renormalizeTrades(existingTrades, aliasRules),
+        [existingTrades, aliasRules]
+    );
+
     // Get unique structures from existing trades
     const uniqueStructuresFromTrades = [...new Set(existingTrades.map(t => t.structure))].sort();
 
@@ -79,6 +118,64 @@ export default function SettingsPanel({ onClose, existingTrades = [] }) {
         }
     };
 
+    const handleAddAlias = () => {
+        try {
+            addStructureAlias(newAlias);
+            setAliasRules(getStructureAliases());
+            setNewAlias({ pattern: '', isRegex: false, structure: '' });
+            setAliasError(null);
+        } catch (err) {
+            setAliasError(err.message);
+        }
+    };
+
+    const handleRemoveAlias = (id) => {
+        removeStructureAlias(id);
+        setAliasRules(getStructureAliases());
+    };
+
+    const handleRenormalize = () => {
+        const { trades, changed } = renormalizePreview;
+        if (changed === 0) return;
+        if (window.confirm(`Re-normalize ${changed} stored trades? Their structures will be regrouped with the current alias rules.`)) {
+            onTradesRenormalized?.(trades);
+        }
+    };
+
+    const handleImportMarks = () => {
+        const { imported, errors } = importMarkPrices(markInput);
+        setMarkErrors(errors);
+        if (imported > 0) {
+            setMarkPrices(getMarkPrices());
+            onMarkPricesChange?.();
+        }
+        if (errors.length === 0) setMarkInput('');
+    };
+
+    const handleRemoveMark = (structure) => {
+        removeMarkPrice(structure);
+        setMarkPrices(getMarkPrices());
+        onMarkPricesChange?.();
+    };
+
+    const handleImportSettlements = () => {
+        const { imported, errors } = importSettlements(settlementInput, loadSettings().dateOrder || 'auto');
+        setSettlementErrors(errors);
+        if (imported > 0) {
+            setSettlementsSummary(getSettlementsSummary());
+            onSettlementsChange?.();
+        }
+        if (errors.length === 0) setSettlementInput('');
+    };
+
+    const handleClearSettlements = () => {
+        if (window.confirm('Remove all settlement prices?')) {
+            clearSettlements();
+            setSettlementsSummary(getSettlementsSummary());
+            onSettlementsChange?.();
+        }
+    };
+
     const handleTypeChange = (typeName) => {
         const typeConfig = structureTypes.find(t => t.name === typeName);
         setNewStructure(prev => ({
@@ -124,6 +221,13 @@ export default function SettingsPanel({ onClose, existingTrades = [] }) {
         setTimeout(() => setShowNotification(false), 3000);
     };
 
+    const handleReportingZoneChange = (zone) => {
+        setReportingTimeZone(zone);
+        setReportingZone(zone);
+        // Daily P&L buckets depend on the zone, so the app recalculates
+        onReportingTimeZoneChange?.(zone);
+    };
+
     const handleResetConfig = () => {
         setTradingConfig({ tickValue: 16.5, tickSize: 0.005, rtCostPerLot: 1.65 });
         setConfigChanged(true);
@@ -198,6 +302,89 @@ export default function SettingsPanel({ onClose, existingTrades = [] }) {
                         )}
                     </section>
 
+                    {/* Time Zones */}
+                    <section className="settings-section">
+                        <h3>Time Zones</h3>
+                        <p className="section-description">
+                            Fills are stored in their exchange's time zone; dates, times and daily P&L are shown in the reporting zone
+                        </p>
+                        <div className="constants-grid editable">
+                            <div className="constant-item">
+                                <label>Reporting Zone</label>
+                                <select
+                                    value={reportingZone}
+                                    onChange={e => handleReportingZoneChange(e.target.value)}
+                                >
+                                    {!REPORTING_TIME_ZONES.includes(LOCAL_TIME_ZONE) && (
+                                        <option value={LOCAL_TIME_ZONE}>{LOCAL_TIME_ZONE} (this computer)</option>
+                                    )}
+                                    {REPORTING_TIME_ZONES.map(zone => (
+                                        <option key={zone} value={zone}>
+                                            {zone}{zone === LOCAL_TIME_ZONE ? ' (this computer)' : ''}
+                                        </option>
+                                    ))}
+                                </select>
+                                <span className="hint">Trading days are cut at midnight in this zone</span>
+                            </div>
+                        </div>
+                        <div className="builtin-structures">
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>Exchange</th>
+                                        <th>Time Zone</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {EXCHANGE_TIME_ZONES.map(entry => (
+                                        <tr key={entry.label}>
+                                            <td>{entry.label}</td>
+                                            <td>{entry.zone}</td>
+                                        </tr>
+                                    ))}
+                                    <tr>
+                                        <td>Other / Manual</td>
+                                        <td>Reporting zone</td>
+                                    </tr>
+                                </tbody>
+                            </table>
+                        </div>
+                    </section>
+
+                    {/* Product Registry Reference */}
+                    <section className="settings-section">
+                        <h3>Products</h3>
+                        <p className="section-description">
+                            Futures families recognized in structure names; aliases are read as the symbol
+                        </p>
+                        <div className="builtin-structures">
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>Symbol</th>
+                                        <th>Product</th>
+                                        <th>Aliases</th>
+                                        <th>Months</th>
+                                        <th>Tick</th>
+                                        <th>Tick Value</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {PRODUCTS.map(product => (
+                                        <tr key={product.symbol}>
+                                            <td>{product.symbol}</td>
+                                            <td>{product.name}</td>
+                                            <td>{product.aliases.join(', ')}</td>
+                                            <td>{product.listedMonths.length === 12 ? 'Monthly' : product.listedMonths.map(m => MONTH_NAMES[m - 1]).join('/')}</td>
+                                            <td>{product.tickSize}</td>
+                                            <td>{product.tickValue} {product.currency}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </section>
+
                     {/* Add New Structure */}
                     <section className="settings-section">
                         <div className="section-header">
@@ -287,6 +474,195 @@ export default function SettingsPanel({ onClose, existingTrades = [] }) {
                         )}
                     </section>
 
+                    {/* Structure Aliases */}
+                    <section className="settings-section">
+                        <h3>Structure Aliases</h3>
+                        <p className="section-description">
+                            Map broker spellings to one structure when fills are parsed or entered; the first matching rule wins
+                        </p>
+                        <div className="add-structure-form alias-form">
+                            <div className="form-row">
+                                <div className="form-group">
+                                    <label>Broker Text</label>
+                                    <input
+                                        type="text"
+                                        placeholder={newAlias.isRegex ? 'e.g., ^SON (\\w+) DF$' : 'e.g., SON U6 DF'}
+                                        value={newAlias.pattern}
+                                        onChange={e => setNewAlias({ ...newAlias, pattern: e.target.value })}
+                                    />
+                                    <label className="alias-regex">
+                                        <input
+                                            type="checkbox"
+                                            checked={newAlias.isRegex}
+                                            onChange={e => setNewAlias({ ...newAlias, isRegex: e.target.checked })}
+                                        />
+                                        Regular expression
+                                    </label>
+                                </div>
+                                <div className="form-group">
+                                    <label>Structure</label>
+                                    <input
+                                        type="text"
+                                        placeholder={newAlias.isRegex ? 'e.g., SON $1 D-Fly' : 'e.g., SON Sep26 D-Fly'}
+                                        value={newAlias.structure}
+                                        onChange={e => setNewAlias({ ...newAlias, structure: e.target.value })}
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label>&nbsp;</label>
+                                    <button className="save-btn" onClick={handleAddAlias}>
+                                        <Plus size={16} />
+                                        Add Rule
+                                    </button>
+                                </div>
+                            </div>
+                            {aliasError && <div className="form-hint alias-error">{aliasError}</div>}
+                        </div>
+
+                        {aliasRules.length > 0 ? (
+                            <div className="structures-list">
+                                {aliasRules.map(rule => (
+                                    <div key={rule.id} className="structure-item">
+                                        <div className="structure-info">
+                                            <span className="structure-name">
+                                                {rule.isRegex ? `/${rule.pattern}/` : rule.pattern} → {rule.structure}
+                                            </span>
+                                            <span className="structure-rt">
+                                                {rule.isRegex ? 'Regex' : 'Exact'}
+                                                {!rule.isRegex && ` • groups as ${resolveStructureName(rule.structure)}`}
+                                            </span>
+                                        </div>
+                                        <button
+                                            className="delete-btn"
+                                            onClick={() => handleRemoveAlias(rule.id)}
+                                        >
+                                            <Trash2 size={16} />
+                                        </button>
+                                    </div>
+                                ))}
+                            </div>
+                        ) : (
+                            <p className="no-custom">No alias rules added yet.</p>
+                        )}
+
+                        {existingTrades.length > 0 && (
+                            <div className="config-actions">
+                                <button
+                                    className="reset-btn"
+                                    onClick={handleRenormalize}
+                                    disabled={renormalizePreview.changed === 0}
+                                >
+                                    <RefreshCw size={16} />
+                                    {renormalizePreview.changed > 0
+                                        ? `Re-normalize ${renormalizePreview.changed} stored trades`
+                                        : 'Stored trades are up to date'}
+                                </button>
+                            </div>
+                        )}
+                    </section>
+
+                    {/* Mark Prices */}
+                    <section className="settings-section">
+                        <h3>Mark Prices</h3>
+                        <p className="section-description">
+                            Value open positions at a mark: one line per structure as structure, price and an optional date/time (now if left out)
+                        </p>
+                        <div className="add-structure-form alias-form">
+                            <textarea
+                                className="mark-import"
+                                rows={3}
+                                placeholder={'SON Sep26 D-Fly, -1.25\nSO3 Mar26-Jun26 Calendar, 0.035, 2026-06-16 16:30'}
+                                value={markInput}
+                                onChange={e => setMarkInput(e.target.value)}
+                                spellCheck={false}
+                            />
+                            <div className="form-actions">
+                                <button className="save-btn" onClick={handleImportMarks} disabled={!markInput.trim()}>
+                                    <Save size={16} />
+                                    Import Marks
+                                </button>
+                            </div>
+                            {markErrors.map(error => (
+                                <div key={error.line} className="form-hint alias-error">
+                                    Line {error.line}: {error.reason}
+                                </div>
+                            ))}
+                        </div>
+
+                        {Object.keys(markPrices).length > 0 ? (
+                            <div className="structures-list">
+                                {Object.entries(markPrices).sort(([a], [b]) => a.localeCompare(b)).map(([structure, mark]) => (
+                                    <div key={structure} className="structure-item">
+                                        <div className="structure-info">
+                                            <span className="structure-name">{structure}</span>
+                                            <span className="structure-rt">
+                                                {mark.price} • {formatDateTime(new Date(mark.timestamp))}
+                                            </span>
+                                        </div>
+                                        <button
+                                            className="delete-btn"
+                                            onClick={() => handleRemoveMark(structure)}
+                                        >
+                                            <Trash2 size={16} />
+                                        </button>
+                                    </div>
+                                ))}
+                            </div>
+                        ) : (
+                            <p className="no-custom">No mark prices set yet.</p>
+                        )}
+                    </section>
+
+                    {/* Settlement Prices */}
+                    <section className="settings-section">
+                        <h3>Settlement Prices</h3>
+                        <p className="section-description">
+                            Paste or drop a daily settlement file with structure or contract, date and settle per line.
+                            Open positions are marked to these settles each day, so daily P&L and drawdown include overnight moves.
+                            Spreads without their own settle are priced from their legs' contract settles.
+                        </p>
+                        <div className="add-structure-form alias-form">
+                            <textarea
+                                className="mark-import"
+                                rows={4}
+                                placeholder={'Contract,Date,Settle\nSON Sep26,2026-06-16,96.125\nSON Sep26 D-Fly,2026-06-16,-1.5'}
+                                value={settlementInput}
+                                onChange={e => setSettlementInput(e.target.value)}
+                                onDrop={e => {
+                                    const file = e.dataTransfer.files?.[0];
+                                    if (!file) return;
+                                    e.preventDefault();
+                                    file.text().then(setSettlementInput);
+                                }}
+                                spellCheck={false}
+                            />
+                            <div className="form-actions">
+                                <button className="save-btn" onClick={handleImportSettlements} disabled={!settlementInput.trim()}>
+                                    <Save size={16} />
+                                    Import Settlements
+                                </button>
+                                {settlementsSummary.dates > 0 && (
+                                    <button className="cancel-btn" onClick={handleClearSettlements}>
+                                        Clear All
+                                    </button>
+                                )}
+                            </div>
+                            {settlementErrors.slice(0, 10).map(error => (
+                                <div key={error.line} className="form-hint alias-error">
+                                    Line {error.line}: {error.reason}
+                                </div>
+                            ))}
+                            {settlementErrors.length > 10 && (
+                                <div className="form-hint alias-error">...and {settlementErrors.length - 10} more lines</div>
+                            )}
+                        </div>
+                        <p className="no-custom">
+                            {settlementsSummary.dates > 0
+                                ? `${settlementsSummary.names} structures/contracts settled on ${settlementsSummary.dates} days (${settlementsSummary.firstDate} to ${settlementsSummary.lastDate})`
+                                : 'No settlement prices imported yet.'}
+                        </p>
+                    </section>
+
                     {/* Structures from Trades */}
                     {uniqueStructuresFromTrades.length > 0 && (
                         <section className="settings-section">
@@ -1,5 +1,6 @@
 import React from 'react';
 import { TrendingUp, TrendingDown, Activity } from 'lucide-react';
+import { formatRiskAmount } from '../utils/exposure';
 
 export default function StructureCard({ structure, onClick }) {
     const {
@@ -8,6 +9,10 @@ export default function StructureCard({ structure, onClick }) {
         grossPnLDollars,
         totalRTCost,
         netPosition,
+        markPrice,
+        unrealizedPnLDollars,
+        totalPnLDollars,
+        risk,
         stats,
         metadata
     } = structure;
@@ -77,6 +82,40 @@ export default function StructureCard({ structure, onClick }) {
                 </div>
             )}
 
+            {/* Open lots valued at the mark */}
+            {hasOpenPosition && (
+                <div className="structure-mtm">
+                    {markPrice !== null && markPrice !== undefined ? (
+                        <>
+                            <span className={unrealizedPnLDollars >= 0 ? 'positive' : 'negative'}>
+                                Unrealized: {formatDollars(unrealizedPnLDollars)}
+                            </span>
+                            <span className={totalPnLDollars >= 0 ? 'positive' : 'negative'}>
+                                Total: {formatDollars(totalPnLDollars)}
+                            </span>
+                        </>
+                    ) : (
+                        <span>No mark</span>
+                    )}
+                </div>
+            )}
+
+            {/* Rate risk of the open position */}
+            {hasOpenPosition && risk && (
+                risk.dv01 !== null ? (
+                    <div className="structure-mtm" title="Risk per 1bp move: all legs together (DV01) and each leg on its own (gross)">
+                        <span className={risk.dv01 >= 0 ? 'positive' : 'negative'}>
+                            DV01: {formatRiskAmount(risk.dv01, risk.currency, true)}
+                        </span>
+                        <span>Gross: {formatRiskAmount(risk.grossDv01, risk.currency)}/bp</span>
+                    </div>
+                ) : (
+                    <div className="structure-mtm" title="Bond futures: a price move is not a fixed move in yield, so no DV01 is shown">
+                        <span>Tick risk: {formatRiskAmount(risk.grossTickRisk, risk.currency)}/tick</span>
+                    </div>
+                )
+            )}
+
             <div className="structure-stats">
                 <span>
                     <span className="label">Win%</span>
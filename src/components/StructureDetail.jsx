@@ -1,15 +1,86 @@
 import React, { useState, useMemo } from 'react';
 import {
     X, ArrowRightLeft, Calendar, Clock, Target, BarChart3,
-    History, List, Trash2, TrendingUp, TrendingDown, Zap
+    History, List, Trash2, TrendingUp, TrendingDown, Zap, AlertTriangle
 } from 'lucide-react';
 import { CumulativePnLChart, TickCaptureChart, TradePnLChart } from './Charts';
+import MatchingMethodComparison from './MatchingMethodComparison';
 import { calculatePerformanceMetrics } from '../utils/insightsGenerator';
-import { TICK_VALUE, TICK_SIZE, RT_COST_PER_LOT } from '../utils/fifoCalculator';
+import {
+    TICK_VALUE, TICK_SIZE, RT_COST_PER_LOT, MATCHING_METHODS, MATCHING_ORDERS, compareMatchingMethods, isLongMatch,
+    lotSelectionId, getLotSelection
+} from '../utils/fifoCalculator';
+import { compareTrades } from '../utils/tradeParser';
+import { formatDateTime } from '../utils/timeZones';
+import { setMarkPrice } from '../utils/markPrices';
+import { setFinalSettlement, removeFinalSettlement, expiryClose } from '../utils/expiries';
+import { formatRiskAmount } from '../utils/exposure';
+
+/**
+ * Choose the earlier opposite-side trades an exit closes, in order (specific-lot matching)
+ * Whatever the chosen lots don't cover closes the oldest open lot (FIFO); the lots the exit
+ * actually closed are listed below the choice
+ * Lots are named by lotSelectionId, so a choice holds whether fills are grouped by order or not
+ * @param {Array} earlierTrades - Trades before the exit in matching order
+ * @param {Array} exitMatches - Matches that closed against this exit
+ */
+function LotSelection({ trade, earlierTrades, selected, exitMatches, onChange, formatNumber }) {
+    const lots = earlierTrades
+        .map((lot, position) => ({ lot, position }))
+        .filter(({ lot }) => lot.side !== trade.side);
+    if (lots.length === 0) return null;
+
+    const positionOf = new Map(lots.map(({ lot, position }) => [lotSelectionId(lot), position]));
+    const describe = ({ lot, position }) => `#${position + 1} ${lot.side} ${lot.quantity} @ ${formatNumber(lot.price)} (${lot.dateStr})`;
+    const available = lots.filter(({ lot }) => !selected.includes(lotSelectionId(lot)));
+
+    return (
+        <div className="lot-selection">
+            <span>Closes</span>
+            {selected.map(id => (
+                <span key={id} className="lot-chip">
+                    #{positionOf.has(id) ? positionOf.get(id) + 1 : '?'}
+                    <button
+                        onClick={() => onChange(selected.filter(other => other !== id))}
+                        title="Remove this lot"
+                    >
+                        <X size={10} />
+                    </button>
+                </span>
+            ))}
+            {selected.length > 0 && <span>then oldest open lot (FIFO)</span>}
+            {available.length > 0 && (
+                <select value="" onChange={(e) => e.target.value && onChange([...selected, e.target.value])}>
+                    <option value="">{selected.length > 0 ? 'Add a lot…' : 'Oldest open lot (FIFO)'}</option>
+                    {available.map(item => (
+                        <option key={item.lot.id} value={lotSelectionId(item.lot)}>{describe(item)}</option>
+                    ))}
+                </select>
+            )}
+            {exitMatches.length > 0 && (
+                <div className="lot-allocation">
+                    Closed {exitMatches.map(match => {
+                        const lotId = lotSelectionId(match.openTrade);
+                        const position = positionOf.get(lotId);
+                        const label = position === undefined ? 'pooled lot' : `#${position + 1}`;
+                        return `${match.matchQty} from ${label}${selected.includes(lotId) ? '' : ' (FIFO)'}`;
+                    }).join(', ')}
+                </div>
+            )}
+        </div>
+    );
+}
 
-export default function StructureDetail({ structure, onClose, onDeleteTrade }) {
+export default function StructureDetail({
+    structure, onClose, onDeleteTrade, reportingTimeZone, lotMatching, onMatchingMethodChange, onLotSelectionChange,
+    onMarkPricesChange, onFinalSettlementsChange
+}) {
     const [activeTab, setActiveTab] = useState('overview');
     const [confirmDelete, setConfirmDelete] = useState(null);
+    const [markInput, setMarkInput] = useState('');
+    const [markError, setMarkError] = useState(null);
+    const [settleInput, setSettleInput] = useState('');
+    const [settleError, setSettleError] = useState(null);
 
     const {
         name,
@@ -33,11 +104,39 @@ export default function StructureDetail({ structure, onClose, onDeleteTrade }) {
         shortQueue,
         rtLegs,
         totalRtLegsPerRoundTrip,
+        matchingMethod,
+        matchingOrder,
+        orderCheck,
+        markPrice,
+        markTimestamp,
+        unrealizedPnLDollars,
+        unrealizedRTCost,
+        totalPnLDollars,
+        risk,
+        expiry,
+        finalSettlement,
+        tradesAfterExpiry,
         metadata
     } = structure;
 
-    const metrics = useMemo(() => calculatePerformanceMetrics(structure), [structure]);
+    const metrics = useMemo(() => calculatePerformanceMetrics(structure, reportingTimeZone), [structure, reportingTimeZone]);
+    const lotSelections = lotMatching?.lotSelections;
+    const methodComparison = useMemo(
+        () => compareMatchingMethods(trades || [], name, { order: matchingOrder, lotSelections, expiry: expiryClose(expiry) }),
+        [trades, name, lotSelections, matchingOrder, expiry]
+    );
+    // Trade ID -> the later-executed trade it was entered after
+    const outOfOrder = useMemo(
+        () => new Map((orderCheck?.outOfOrder || []).map(({ trade, enteredAfter }) => [trade.id, enteredAfter])),
+        [orderCheck]
+    );
+    // Trades in the order lots are matched in, so an exit's candidates are the lots open before it
+    const matchingSequence = useMemo(
+        () => (matchingOrder === 'TIME' ? [...(trades || [])].sort(compareTrades) : trades || []),
+        [trades, matchingOrder]
+    );
     const hasOpenPosition = netPosition !== 0;
+    const expiryMatches = (matches || []).filter(m => m.type === 'EXPIRY');
     const isProfitable = realizedPnLDollars > 0;
 
     // Calculate total RTs for this structure
@@ -62,6 +161,39 @@ export default function StructureDetail({ structure, onClose, onDeleteTrade }) {
         return `${(hours / 24).toFixed(1)}d`;
     };
 
+    const describeOutOfOrder = (trade) => {
+        const later = outOfOrder.get(trade.id);
+        return `Executed before ${later.side} ${later.quantity} @ ${formatNumber(later.price)} ` +
+            `(${formatDateTime(later.date, reportingTimeZone)}), which was entered ahead of it`;
+    };
+
+    const handleSetMark = () => {
+        try {
+            setMarkPrice(name, markInput);
+            setMarkInput('');
+            setMarkError(null);
+            onMarkPricesChange?.();
+        } catch (err) {
+            setMarkError(err.message);
+        }
+    };
+
+    const handleSetFinalSettlement = () => {
+        try {
+            setFinalSettlement(name, settleInput);
+            setSettleInput('');
+            setSettleError(null);
+            onFinalSettlementsChange?.();
+        } catch (err) {
+            setSettleError(err.message);
+        }
+    };
+
+    const handleRemoveFinalSettlement = () => {
+        removeFinalSettlement(name);
+        onFinalSettlementsChange?.();
+    };
+
     const handleDeleteTrade = (tradeId) => {
         if (onDeleteTrade) {
             onDeleteTrade(tradeId);
@@ -154,6 +286,12 @@ export default function StructureDetail({ structure, onClose, onDeleteTrade }) {
                                     <div className="hero-value">{formatDollars(realizedPnLDollars)}</div>
                                     <div className="hero-label">Net P&L</div>
                                 </div>
+                                {markPrice !== null && hasOpenPosition && (
+                                    <div className={`hero-stat ${totalPnLDollars >= 0 ? 'positive' : 'negative'}`}>
+                                        <div className="hero-value">{formatDollars(totalPnLDollars)}</div>
+                                        <div className="hero-label">Total P&L (incl. unrealized)</div>
+                                    </div>
+                                )}
                             </div>
 
                             <div className="metrics-grid">
@@ -212,6 +350,182 @@ export default function StructureDetail({ structure, onClose, onDeleteTrade }) {
                                 </div>
                             </div>
 
+                            {/* Mark to Market */}
+                            {hasOpenPosition && (
+                                <div className="detail-section">
+                                    <h3><Target size={16} /> Mark to Market</h3>
+                                    <div className="matching-method">
+                                        <input
+                                            type="text"
+                                            className="mark-input"
+                                            placeholder={markPrice !== null ? String(markPrice) : 'Mark price'}
+                                            value={markInput}
+                                            onChange={(e) => setMarkInput(e.target.value)}
+                                            onKeyDown={(e) => e.key === 'Enter' && handleSetMark()}
+                                        />
+                                        <button className="btn btn-secondary" onClick={handleSetMark} disabled={!markInput.trim()}>
+                                            Set Mark
+                                        </button>
+                                        <span>
+                                            {markPrice !== null
+                                                ? `Marked ${formatNumber(markPrice)} at ${formatDateTime(new Date(markTimestamp), reportingTimeZone)}`
+                                                : 'No mark set - open lots are not valued'}
+                                        </span>
+                                    </div>
+                                    {markError && <div className="mark-error">{markError}</div>}
+                                    {markPrice !== null && (
+                                        <>
+                                            <div className="detail-grid">
+                                                <div className="detail-item">
+                                                    <span className="label">Unrealized P&L</span>
+                                                    <span className={`value ${unrealizedPnLDollars >= 0 ? 'positive' : 'negative'}`}>{formatDollars(unrealizedPnLDollars)}</span>
+                                                </div>
+                                                <div className="detail-item">
+                                                    <span className="label">RT Cost to Close</span>
+                                                    <span className="value negative">-${(unrealizedRTCost || 0).toFixed(2)}</span>
+                                                </div>
+                                                <div className="detail-item">
+                                                    <span className="label">Total P&L</span>
+                                                    <span className={`value ${totalPnLDollars >= 0 ? 'positive' : 'negative'}`}>{formatDollars(totalPnLDollars)}</span>
+                                                </div>
+                                            </div>
+                                            <div className="open-lots">
+                                                {[...longQueue, ...shortQueue].map((lot, idx) => (
+                                                    <div key={`${lot.id}-${idx}`} className="open-lot">
+                                                        <span className={lot.side === 'BUY' ? 'positive' : 'negative'}>
+                                                            {lot.side === 'BUY' ? 'Long' : 'Short'} {lot.quantity} @ {formatNumber(lot.price)}
+                                                        </span>
+                                                        <span className={lot.unrealizedPnLDollars >= 0 ? 'positive' : 'negative'}>
+                                                            {formatDollars(lot.unrealizedPnLDollars)}
+                                                        </span>
+                                                    </div>
+                                                ))}
+                                            </div>
+                                        </>
+                                    )}
+                                </div>
+                            )}
+
+                            {/* Expiry */}
+                            {expiry && (hasOpenPosition || expiryMatches.length > 0) && (
+                                <div className="detail-section">
+                                    <h3><Calendar size={16} /> Expiry</h3>
+                                    <div className="matching-method">
+                                        <span>
+                                            {expiry.contract} last trading day {expiry.date}
+                                            {expiry.expired ? ' (expired)' : ` (in ${expiry.daysToExpiry}d)`}
+                                        </span>
+                                    </div>
+                                    {expiry.expired && (
+                                        <div className="matching-method">
+                                            <input
+                                                type="text"
+                                                className="mark-input"
+                                                placeholder={finalSettlement !== null ? String(finalSettlement) : 'Final settlement'}
+                                                value={settleInput}
+                                                onChange={(e) => setSettleInput(e.target.value)}
+                                                onKeyDown={(e) => e.key === 'Enter' && handleSetFinalSettlement()}
+                                            />
+                                            <button className="btn btn-secondary" onClick={handleSetFinalSettlement} disabled={!settleInput.trim()}>
+                                                Set Final Settlement
+                                            </button>
+                                            {expiry.finalSettlement?.source === 'entered' && (
+                                                <button className="btn btn-secondary" onClick={handleRemoveFinalSettlement}>
+                                                    Remove
+                                                </button>
+                                            )}
+                                            <span>
+                                                {finalSettlement !== null
+                                                    ? `${expiryMatches.reduce((sum, m) => sum + m.matchQty, 0)} lots closed at ${formatNumber(finalSettlement)} (${expiry.finalSettlement.source})`
+                                                    : 'Awaiting final settlement - open lots stay open'}
+                                            </span>
+                                        </div>
+                                    )}
+                                    {settleError && <div className="mark-error">{settleError}</div>}
+                                    {tradesAfterExpiry?.length > 0 && (
+                                        <div className="mark-error">
+                                            {tradesAfterExpiry.length} trades are stamped after expiry and were matched after the final settlement close
+                                        </div>
+                                    )}
+                                </div>
+                            )}
+
+                            {/* Rate Risk */}
+                            {hasOpenPosition && risk && (
+                                <div className="detail-section">
+                                    <h3><Zap size={16} /> Rate Risk</h3>
+                                    <div className="detail-grid">
+                                        <div className="detail-item">
+                                            <span className="label">DV01 (parallel)</span>
+                                            {risk.dv01 !== null ? (
+                                                <span className={`value ${risk.dv01 >= 0 ? 'positive' : 'negative'}`}>{formatRiskAmount(risk.dv01, risk.currency, true)}</span>
+                                            ) : (
+                                                <span className="value" title="Bond futures: a price move is not a fixed move in yield">Not modeled</span>
+                                            )}
+                                        </div>
+                                        <div className="detail-item">
+                                            <span className="label">Gross Leg DV01</span>
+                                            <span className="value">{risk.grossDv01 !== null ? formatRiskAmount(risk.grossDv01, risk.currency) : '-'}</span>
+                                        </div>
+                                        <div className="detail-item">
+                                            <span className="label">Gross Tick Risk</span>
+                                            <span className="value">{formatRiskAmount(risk.grossTickRisk, risk.currency)}</span>
+                                        </div>
+                                    </div>
+                                    <div className="open-lots">
+                                        {risk.legs.map(leg => (
+                                            <div key={leg.contract.label} className="open-lot">
+                                                <span className={leg.lots >= 0 ? 'positive' : 'negative'}>
+                                                    {leg.contract.label} {leg.lots > 0 ? '+' : ''}{leg.lots} lots
+                                                </span>
+                                                <span>
+                                                    {leg.dv01 !== null && `${formatRiskAmount(leg.dv01, risk.currency, true)}/bp • `}
+                                                    {formatRiskAmount(leg.tickRisk, risk.currency, true)}/tick
+                                                </span>
+                                            </div>
+                                        ))}
+                                    </div>
+                                </div>
+                            )}
+
+                            {/* Lot Matching */}
+                            <div className="detail-section">
+                                <h3><ArrowRightLeft size={16} /> Lot Matching</h3>
+                                {onMatchingMethodChange && (
+                                    <div className="matching-method">
+                                        <span>Method</span>
+                                        <select
+                                            className="filter-select"
+                                            value={lotMatching?.structureMethods[name] || ''}
+                                            onChange={(e) => onMatchingMethodChange(name, e.target.value || null)}
+                                        >
+                                            <option value="">Book default ({MATCHING_METHODS[lotMatching?.bookMethod]?.label})</option>
+                                            {Object.entries(MATCHING_METHODS).map(([key, method]) => (
+                                                <option key={key} value={key} title={method.description}>{method.label}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                )}
+                                {outOfOrder.size > 0 && (
+                                    <div className="order-warning">
+                                        <AlertTriangle size={16} />
+                                        <div>
+                                            <strong>
+                                                {outOfOrder.size} trade{outOfOrder.size === 1 ? ' was' : 's were'} entered
+                                                out of execution order (see Entries)
+                                            </strong>
+                                            <div className="order-warning-row">
+                                                {orderCheck.differs
+                                                    ? `Realized P&L: entry order ${formatDollars(orderCheck.entryRealizedPnLDollars)}, execution time ${formatDollars(orderCheck.timeRealizedPnLDollars)}`
+                                                    : 'Realized P&L is the same in either order'}
+                                                {' '}• matching by {MATCHING_ORDERS[matchingOrder]?.label.toLowerCase()}
+                                            </div>
+                                        </div>
+                                    </div>
+                                )}
+                                <MatchingMethodComparison rows={methodComparison} activeMethod={matchingMethod} />
+                            </div>
+
                             {/* Price Summary */}
                             <div className="detail-section">
                                 <h3><Calendar size={16} /> Price Summary</h3>
@@ -242,6 +556,9 @@ export default function StructureDetail({ structure, onClose, onDeleteTrade }) {
                         <div className="entries-tab">
                             <div className="entries-header">
                                 <h3>All Entries & Exits</h3>
+                                {structure.fillCount > trades.length && (
+                                    <span className="entries-orders-note">{trades.length} orders from {structure.fillCount} fills</span>
+                                )}
                                 <div className="entries-summary">
                                     <span className="buys">{totalBuyQty} bought</span>
                                     <span className="sells">{totalSellQty} sold</span>
@@ -261,17 +578,57 @@ export default function StructureDetail({ structure, onClose, onDeleteTrade }) {
                                                 </span>
                                                 <span className="entry-qty">{trade.quantity} lots</span>
                                                 <span className="entry-price">@ {formatNumber(trade.price)}</span>
+                                                {outOfOrder.has(trade.id) && (
+                                                    <span
+                                                        className="out-of-order-badge"
+                                                        title={describeOutOfOrder(trade)}
+                                                    >
+                                                        Out of order
+                                                    </span>
+                                                )}
                                             </div>
                                             <div className="entry-meta">
-                                                {trade.date?.toLocaleString?.() || trade.dateStr} • {trade.exchange}
+                                                {formatDateTime(trade.date, reportingTimeZone) || trade.dateStr} • {trade.exchange}
                                             </div>
+                                            {(trade.execId || trade.orderId || trade.account || trade.trader) && (
+                                                <div className="entry-refs">
+                                                    {trade.execId && <span title="Exchange execution ID">Exec {trade.execId}</span>}
+                                                    {trade.orderId && <span title="Order ID">Order {trade.orderId}</span>}
+                                                    {trade.account && <span title="Account">Acct {trade.account}</span>}
+                                                    {trade.trader && <span title="Trader">{trade.trader}</span>}
+                                                </div>
+                                            )}
+                                            {matchingMethod === 'SPECIFIC' && onLotSelectionChange && (
+                                                <LotSelection
+                                                    trade={trade}
+                                                    earlierTrades={matchingSequence.slice(0, matchingSequence.indexOf(trade))}
+                                                    selected={getLotSelection(lotSelections, trade)}
+                                                    exitMatches={(matches || []).filter(m => m.closeTrade.id === trade.id)}
+                                                    onChange={(lotIds) => onLotSelectionChange(lotSelectionId(trade), lotIds)}
+                                                    formatNumber={formatNumber}
+                                                />
+                                            )}
+                                            {trade.fills && (
+                                                <div className="entry-fills" title="Partial fills consolidated into this order">
+                                                    {trade.fills.length} fills: {trade.fills.map(fill => `${fill.quantity} @ ${formatNumber(fill.price)}`).join(', ')}
+                                                </div>
+                                            )}
+                                            {trade.legFills?.length > 0 && (
+                                                <div className="entry-legs" title="Outright leg fills this spread was rebuilt from">
+                                                    {trade.legFills.map((leg, legIdx) => (
+                                                        <span key={leg.id || legIdx} className={leg.side === 'BUY' ? 'buy' : 'sell'}>
+                                                            {leg.side === 'BUY' ? '+' : '-'}{leg.quantity} {leg.structure} @ {formatNumber(leg.price)}
+                                                        </span>
+                                                    ))}
+                                                </div>
+                                            )}
                                         </div>
                                         <div className="entry-actions">
                                             {confirmDelete === trade.id ? (
                                                 <div className="confirm-delete">
                                                     <button
                                                         className="confirm-btn yes"
-                                                        onClick={() => handleDeleteTrade(trade.id)}
+                                                        onClick={() => handleDeleteTrade(trade.fills ? trade.fills.map(f => f.id) : trade.id)}
                                                     >
                                                         Delete
                                                     </button>
@@ -286,7 +643,7 @@ export default function StructureDetail({ structure, onClose, onDeleteTrade }) {
                                                 <button
                                                     className="delete-btn"
                                                     onClick={() => setConfirmDelete(trade.id)}
-                                                    title="Delete this trade"
+                                                    title={trade.fills ? `Delete this order and its ${trade.fills.length} fills` : 'Delete this trade'}
                                                 >
                                                     <Trash2 size={16} />
                                                 </button>
@@ -362,8 +719,13 @@ export default function StructureDetail({ structure, onClose, onDeleteTrade }) {
                                         <div className="trade-main">
                                             <div className="trade-type">
                                                 <ArrowRightLeft size={14} />
-                                                <span>{match.type === 'CLOSE_LONG' ? 'Closed Long' : 'Covered Short'}</span>
+                                                <span>
+                                                    {match.type === 'EXPIRY'
+                                                        ? `Expired ${isLongMatch(match) ? 'Long' : 'Short'} (final settlement)`
+                                                        : match.type === 'CLOSE_LONG' ? 'Closed Long' : 'Covered Short'}
+                                                </span>
                                                 <span className="qty">{match.matchQty} lots</span>
+                                                {match.method && <span className="qty">{MATCHING_METHODS[match.method]?.label}</span>}
                                             </div>
                                             <div className="trade-prices">
                                                 <span className="entry">{formatNumber(match.openTrade.price)}</span>
@@ -1,9 +1,16 @@
 import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import {
     Plus, ChevronUp, ClipboardPaste, Trash2,
-    Download, FileText, X, Check, AlertCircle
+    Download, FileText, X, Check, AlertCircle, Wand2, Upload
 } from 'lucide-react';
 import { parseTrades, createManualTrade, getKnownStructures } from '../utils/tradeParser';
+import { isFixLog, parseFixMessages } from '../utils/fixParser';
+import { importTradesFile, isAcceptedFile, ACCEPTED_FILE_TYPES } from '../utils/fileImport';
+import { getImportProfiles, getImportProfile, addImportProfile, removeImportProfile, DATE_FORMATS } from '../utils/importProfiles';
+import { saveSettings, loadSettings } from '../utils/storage';
+import { resolveExchangeTimeZone, formatDateKey, formatTime } from '../utils/timeZones';
+import ImportProfileWizard from './ImportProfileWizard';
+import ImportPreview from './ImportPreview';
 
 /**
  * Fuzzy match scoring - higher score = better match
@@ -55,20 +62,45 @@ export default function TradeInput({ onTradesAdded, tradesCount, onClearAll, onE
     const [parseStatus, setParseStatus] = useState(null);
     const [parseErrors, setParseErrors] = useState([]);
 
+    // Import profile ('' = auto-detect with heuristics)
+    const [importProfiles, setImportProfiles] = useState(() => getImportProfiles());
+    const [profileId, setProfileId] = useState(() => {
+        const savedId = loadSettings().importProfileId;
+        return getImportProfile(savedId) ? savedId : '';
+    });
+    const [showWizard, setShowWizard] = useState(false);
+
+    // Order of all-numeric dates when the profile doesn't set one ('auto' = infer per paste)
+    const [dateOrder, setDateOrder] = useState(() => loadSettings().dateOrder || 'auto');
+
+    // File upload / drag-and-drop
+    const [isDragging, setIsDragging] = useState(false);
+    const [importProgress, setImportProgress] = useState(null);
+
+    // Parsed import awaiting review in the preview grid
+    const [stagedImport, setStagedImport] = useState(null);
+
     // Manual entry form state
     const [manualForm, setManualForm] = useState({
         structure: '',
         side: 'BUY',
         quantity: '1',
         price: '',
-        date: new Date().toISOString().split('T')[0],
-        time: new Date().toTimeString().slice(0, 5),
-        exchange: 'ICE_L'
+        // Defaults are "now" on the exchange's clock
+        date: formatDateKey(new Date(), resolveExchangeTimeZone('ICE_L')),
+        time: formatTime(new Date(), resolveExchangeTimeZone('ICE_L')).slice(0, 5),
+        exchange: 'ICE_L',
+        // Optional exchange/OMS references
+        execId: '',
+        orderId: '',
+        account: '',
+        trader: ''
     });
     const [suggestions, setSuggestions] = useState([]);
     const [showSuggestions, setShowSuggestions] = useState(false);
     const [selectedIndex, setSelectedIndex] = useState(0);
     const structureInputRef = useRef(null);
+    const fileInputRef = useRef(null);
     const suggestionsRef = useRef(null);
 
     // Get known structures for autocomplete
@@ -102,27 +134,52 @@ export default function TradeInput({ onTradesAdded, tradesCount, onClearAll, onE
         updateSuggestions(manualForm.structure);
     }, [manualForm.structure, updateSuggestions]);
 
-    const handleParse = () => {
-        if (!input.trim()) {
-            setParseStatus({ type: 'error', message: 'Please paste some fills first' });
-            return;
-        }
-
-        const result = parseTrades(input);
-
-        if (result.trades.length === 0) {
-            setParseStatus({ type: 'error', message: 'No valid trades found in input' });
+    // Stage parsed rows for review instead of adding them straight away
+    const stageParseResult = (parsed, source = 'input') => {
+        // FIX busts of fills imported before remove the stored fill; busts of unknown fills are reported
+        const storedExecIds = new Set(existingTrades.map(t => t.execId).filter(Boolean));
+        const busts = parsed.busts || [];
+        const result = {
+            ...parsed,
+            bustedExecIds: busts.filter(bust => storedExecIds.has(bust.execId)).map(bust => bust.execId),
+            errors: [
+                ...parsed.errors,
+                ...busts.filter(bust => !storedExecIds.has(bust.execId)).map(bust => ({
+                    line: bust.line,
+                    content: bust.content,
+                    reason: `Trade bust of ExecID ${bust.execId}: no fill with that ExecID in this log or the trade log`
+                }))
+            ]
+        };
+
+        const hasRows = result.rows ? result.rows.length > 0 : result.trades.length > 0 || result.bustedExecIds.length > 0;
+        if (!hasRows) {
+            setParseStatus({ type: 'error', message: `No valid trades found in ${source}` });
             setParseErrors(result.errors);
-            return;
+            return false;
         }
 
-        onTradesAdded(result.trades);
+        setStagedImport({ ...result, source, stagedAt: Date.now() });
+        setParseStatus(null);
+        // Rows that failed are shown in the preview; only sources without rows (FIX) list errors separately
+        setParseErrors(result.rows ? [] : result.errors);
+        return true;
+    };
+
+    // Commit the trades confirmed in the preview
+    const handleConfirmImport = (trades) => {
+        const busted = stagedImport.bustedExecIds || [];
+        onTradesAdded(trades, busted);
+        const skipped = stagedImport.rows
+            ? stagedImport.rows.length - trades.length
+            : stagedImport.errors.length;
+        setStagedImport(null);
+        if (stagedImport.source === 'input') setInput('');
         setParseStatus({
             type: 'success',
-            message: `Successfully parsed ${result.trades.length} trades${result.errors.length > 0 ? ` (${result.errors.length} lines skipped)` : ''}`
+            message: `Successfully added ${trades.length} trades${skipped > 0 ? ` (${skipped} lines skipped)` : ''}`
+                + `${busted.length > 0 ? `, removed ${busted.length} busted fills` : ''}`
         });
-        setParseErrors(result.errors);
-        setInput('');
 
         setTimeout(() => {
             setParseStatus(null);
@@ -130,6 +187,93 @@ export default function TradeInput({ onTradesAdded, tradesCount, onClearAll, onE
         }, 5000);
     };
 
+    const handleParse = () => {
+        if (!input.trim()) {
+            setParseStatus({ type: 'error', message: 'Please paste some fills first' });
+            return;
+        }
+
+        // FIX execution reports are recognized regardless of the selected profile
+        const result = isFixLog(input)
+            ? parseFixMessages(input)
+            : parseTrades(input, { profile: getImportProfile(profileId), dateOrder });
+
+        stageParseResult(result);
+    };
+
+    // Stream an uploaded or dropped file through the parser
+    const importFile = async (file) => {
+        if (!isAcceptedFile(file)) {
+            setParseStatus({ type: 'error', message: `Unsupported file type: ${file.name} (use ${ACCEPTED_FILE_TYPES})` });
+            return;
+        }
+
+        setParseStatus(null);
+        setParseErrors([]);
+        setImportProgress({ fileName: file.name, fraction: 0 });
+        try {
+            const result = await importTradesFile(file, {
+                profile: getImportProfile(profileId),
+                dateOrder,
+                onProgress: (fraction) => setImportProgress({ fileName: file.name, fraction })
+            });
+            stageParseResult(result, file.name);
+        } catch (err) {
+            setParseStatus({ type: 'error', message: `Could not read ${file.name}: ${err.message}` });
+        } finally {
+            setImportProgress(null);
+        }
+    };
+
+    const handleFileSelected = (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (file) importFile(file);
+    };
+
+    const handleDragOver = (e) => {
+        e.preventDefault();
+        if (!isDragging) setIsDragging(true);
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setIsDragging(false);
+        const file = e.dataTransfer.files?.[0];
+        if (file) importFile(file);
+    };
+
+    const selectProfile = (id) => {
+        setProfileId(id);
+        saveSettings({ ...loadSettings(), importProfileId: id });
+    };
+
+    const selectDateOrder = (order) => {
+        setDateOrder(order);
+        saveSettings({ ...loadSettings(), dateOrder: order });
+    };
+
+    // A profile with an explicit date order overrides the global setting
+    const profileDateFormat = getImportProfile(profileId)?.dateFormat;
+    const dateOrderLocked = !!profileDateFormat && profileDateFormat !== 'auto';
+
+    const handleSaveProfile = (profile) => {
+        const stored = addImportProfile(profile);
+        setImportProfiles(getImportProfiles());
+        selectProfile(stored.id);
+        setShowWizard(false);
+    };
+
+    const handleRemoveProfile = () => {
+        const profile = getImportProfile(profileId);
+        if (!profile || profile.builtIn) return;
+        if (window.confirm(`Remove import profile "${profile.name}"?`)) {
+            removeImportProfile(profileId);
+            setImportProfiles(getImportProfiles());
+            selectProfile('');
+        }
+    };
+
     const handleManualSubmit = (e) => {
         e.preventDefault();
 
@@ -138,12 +282,14 @@ export default function TradeInput({ onTradesAdded, tradesCount, onClearAll, onE
             onTradesAdded([trade]);
             setParseStatus({ type: 'success', message: 'Trade added successfully' });
 
-            // Reset form but keep structure for quick re-entry
+            // Reset form but keep structure, account and trader for quick re-entry
             setManualForm(prev => ({
                 ...prev,
                 quantity: '1',
                 price: '',
-                time: new Date().toTimeString().slice(0, 5)
+                execId: '',
+                orderId: '',
+                time: formatTime(new Date(), resolveExchangeTimeZone(prev.exchange)).slice(0, 5)
             }));
 
             setTimeout(() => setParseStatus(null), 3000);
@@ -251,7 +397,62 @@ export default function TradeInput({ onTradesAdded, tradesCount, onClearAll, onE
 
             {/* PASTE TAB */}
             {activeTab === 'paste' && (
-                <div className="paste-tab">
+                <div
+                    className={`paste-tab ${isDragging ? 'drag-active' : ''}`}
+                    onDragOver={handleDragOver}
+                    onDragLeave={() => setIsDragging(false)}
+                    onDrop={handleDrop}
+                >
+                    <div className="profile-bar">
+                        <label>Import Profile</label>
+                        <select
+                            className="filter-select"
+                            value={profileId}
+                            onChange={(e) => selectProfile(e.target.value)}
+                        >
+                            <option value="">Auto-detect columns</option>
+                            {importProfiles.map(p => (
+                                <option key={p.id} value={p.id}>
+                                    {p.name}{p.builtIn ? '' : ' (custom)'}
+                                </option>
+                            ))}
+                        </select>
+                        {profileId && !getImportProfile(profileId)?.builtIn && (
+                            <button className="icon-btn danger" onClick={handleRemoveProfile} title="Remove profile">
+                                <Trash2 size={16} />
+                            </button>
+                        )}
+                        <label>Date Order</label>
+                        <select
+                            className="filter-select"
+                            value={dateOrderLocked ? profileDateFormat : dateOrder}
+                            onChange={(e) => selectDateOrder(e.target.value)}
+                            disabled={dateOrderLocked}
+                            title={dateOrderLocked ? 'Set by the selected import profile' : 'How numeric dates like 06/07/25 are read'}
+                        >
+                            <option value="auto">Auto-detect</option>
+                            {DATE_FORMATS.map(f => (
+                                <option key={f} value={f}>{f}</option>
+                            ))}
+                        </select>
+                        <button
+                            className="btn btn-secondary"
+                            onClick={() => setShowWizard(true)}
+                            title="Build a profile from the pasted sample"
+                        >
+                            <Wand2 size={16} />
+                            New Profile
+                        </button>
+                    </div>
+
+                    {showWizard && (
+                        <ImportProfileWizard
+                            sample={input}
+                            onSave={handleSaveProfile}
+                            onCancel={() => setShowWizard(false)}
+                        />
+                    )}
+
                     <textarea
                         className="trade-textarea"
                         value={input}
@@ -261,15 +462,54 @@ export default function TradeInput({ onTradesAdded, tradesCount, onClearAll, onE
 Format: Date    Time    Exchange    Structure    Side    Quantity    Price
 Example: Monday, 16 June, 2025    16.38.25    ICE_L    SON Sep26 D-Fly    B    1    -0.025
 
-Supports tabs, multiple spaces, or comma-separated values."
+Supports tabs, multiple spaces, comma-separated values, or FIX execution reports (35=8).
+Chat confirmations work too: you sold 50 SON Sep26 D-Fly at -1.5 (a line with just a date dates the fills below it).
+Drop a .csv, .tsv or .txt file here to import it directly."
                         spellCheck={false}
                     />
 
+                    {importProgress && (
+                        <div className="import-progress">
+                            <span>Importing {importProgress.fileName}… {Math.round(importProgress.fraction * 100)}%</span>
+                            <div className="import-progress-bar">
+                                <div
+                                    className="import-progress-fill"
+                                    style={{ width: `${Math.round(importProgress.fraction * 100)}%` }}
+                                />
+                            </div>
+                        </div>
+                    )}
+
+                    {stagedImport && (
+                        <ImportPreview
+                            key={stagedImport.stagedAt}
+                            result={stagedImport}
+                            knownStructures={getKnownStructures(existingTrades)}
+                            onConfirm={handleConfirmImport}
+                            onCancel={() => setStagedImport(null)}
+                        />
+                    )}
+
                     <div className="paste-actions">
                         <button className="btn btn-primary" onClick={handleParse}>
                             <Check size={16} />
-                            Parse & Add Trades
+                            Parse & Review
                         </button>
+                        <button
+                            className="btn btn-secondary"
+                            onClick={() => fileInputRef.current?.click()}
+                            disabled={!!importProgress}
+                        >
+                            <Upload size={16} />
+                            Upload File
+                        </button>
+                        <input
+                            ref={fileInputRef}
+                            type="file"
+                            accept={ACCEPTED_FILE_TYPES}
+                            onChange={handleFileSelected}
+                            style={{ display: 'none' }}
+                        />
                         {tradesCount > 0 && (
                             <>
                                 <button className="btn btn-secondary" onClick={onExport}>
@@ -407,7 +647,7 @@ Supports tabs, multiple spaces, or comma-separated values."
 
                         {/* Time */}
                         <div className="form-group time-group">
-                            <label>Time</label>
+                            <label title={`Exchange time (${resolveExchangeTimeZone(manualForm.exchange)})`}>Time</label>
                             <input
                                 type="time"
                                 step="1"
@@ -425,6 +665,46 @@ Supports tabs, multiple spaces, or comma-separated values."
                             </button>
                         </div>
                     </div>
+
+                    {/* Optional references back to the exchange and OMS */}
+                    <div className="form-row references">
+                        <div className="form-group">
+                            <label>Exec ID</label>
+                            <input
+                                type="text"
+                                value={manualForm.execId}
+                                onChange={(e) => updateManualField('execId', e.target.value)}
+                                placeholder="Optional"
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label>Order ID</label>
+                            <input
+                                type="text"
+                                value={manualForm.orderId}
+                                onChange={(e) => updateManualField('orderId', e.target.value)}
+                                placeholder="Optional"
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label>Account</label>
+                            <input
+                                type="text"
+                                value={manualForm.account}
+                                onChange={(e) => updateManualField('account', e.target.value)}
+                                placeholder="Optional"
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label>Trader</label>
+                            <input
+                                type="text"
+                                value={manualForm.trader}
+                                onChange={(e) => updateManualField('trader', e.target.value)}
+                                placeholder="Optional"
+                            />
+                        </div>
+                    </div>
                 </form>
             )}
 
@@ -449,7 +729,7 @@ Supports tabs, multiple spaces, or comma-separated values."
                     <div className="errors-list">
                         {parseErrors.slice(0, 5).map((err, idx) => (
                             <div key={idx} className="error-item">
-                                Line {err.line}: {err.content}...
+                                Line {err.line}: {err.reason} <span className="error-content">{err.content}</span>
                             </div>
                         ))}
                         {parseErrors.length > 5 && (
@@ -0,0 +1,77 @@
+/**
+ * Chat Fill Extractor
+ * Reads fills from broker chat and voice confirmations:
+ *   "you sold 50 SON Sep26 D-Fly at -1.5"
+ *   "BOT 25 SO3 Mar26-Jun26 cal @ 0.035"
+ *   "[16/06/2025 10:32:15] Broker: you bought 10x SR3Z5 @ 96.125"
+ * Extracted fields go through the same resolution as pasted rows (buildTradeFromFields)
+ */
+
+import { parseStructure, MONTH_NAMES } from './structureGrammar';
+import { applyStructureAliases } from './structureAliases';
+import { resolveExchangeTimeZone, formatDateKey } from './timeZones';
+
+// Verbs from our side of the fill (quote words like "bid" and "offered" are not fills)
+const BUY_VERBS = ['bought', 'bot', 'buy', 'buys', 'lifted', 'lift', 'paid', 'purchased'];
+const SELL_VERBS = ['sold', 'sld', 'sell', 'sells', 'gave', 'hit'];
+
+// <verb> <quantity>[x| lots] [of] <structure> at|@ <price>
+const FILL_PHRASE = new RegExp(
+    `\\b(${[...BUY_VERBS, ...SELL_VERBS].join('|')})\\s+` +
+    '(\\d[\\d,]*)\\s*(?:x\\b|lots?\\b|contracts?\\b|cars?\\b)?\\s*(?:of\\s+)?' +
+    '(.+?)\\s*(?:\\bat\\b|@)\\s*(-?\\d*\\.?\\d+)(?![\\d.])',
+    'i'
+);
+
+// Dates a chat line or context line may carry
+const DATE_TOKEN = /(?:[A-Za-z]+day,?\s+)?\d{1,2}\s+[A-Za-z]+,?\s+\d{4}|\d{1,4}[-/]\d{1,2}[-/]\d{1,4}/;
+const TIME_TOKEN = /\b\d{1,2}:\d{2}(?::\d{2}(?:\.\d+)?)?\b/;
+
+/**
+ * Read a line that only carries a date ("16/06/2025", "Monday, 16 June, 2025")
+ * Such lines set the date for the chat fills that follow them
+ * @returns {string|null} The date token
+ */
+export function readContextDate(line) {
+    const text = String(line || '').trim().replace(/[:\-–]+$/, '').trim();
+    const match = text.match(DATE_TOKEN);
+    return match && match[0].length === text.length ? match[0] : null;
+}
+
+/**
+ * Extract fill fields from one chat line
+ * @param {string} line - Chat or confirmation text
+ * @param {string|null} contextDate - Date from an earlier context line; today is used when neither
+ *   the line nor the context has one
+ * @returns {{ fields: Object, flags: string[] }|null} null when the line is not a fill phrase
+ */
+export function extractChatFill(line, contextDate = null) {
+    const text = String(line || '');
+    const match = text.match(FILL_PHRASE);
+    if (!match) return null;
+
+    const [phrase, verb, quantity, structure, price] = match;
+    const side = BUY_VERBS.includes(verb.toLowerCase()) ? 'BUY' : 'SELL';
+
+    // Timestamps usually come before the phrase ("[16/06/2025 10:32:15] ...") but may follow it
+    const around = `${text.slice(0, match.index)} ${text.slice(match.index + phrase.length)}`;
+    const time = around.match(TIME_TOKEN)?.[0] || '';
+
+    // The product tells the exchange (and so the time zone of the date and time)
+    const model = parseStructure(applyStructureAliases(structure.trim()));
+    const exchange = model?.product?.exchange || '';
+
+    const flags = [];
+    let date = around.match(DATE_TOKEN)?.[0] || contextDate;
+    if (!date) {
+        // Written with the month name so it doesn't count towards day/month order inference
+        const [year, month, day] = formatDateKey(new Date(), resolveExchangeTimeZone(exchange)).split('-');
+        date = `${parseInt(day)} ${MONTH_NAMES[parseInt(month) - 1]} ${year}`;
+        flags.push('DATE_DEFAULTED');
+    }
+
+    return {
+        fields: { date, time, exchange, structure: structure.trim(), side, quantity, price },
+        flags
+    };
+}
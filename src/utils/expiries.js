@@ -0,0 +1,130 @@
+/**
+ * Contract Expiries
+ * A structure expires on its front leg's last trading day (from the product registry).
+ * Lots still open then close at the final settlement: one entered for the structure,
+ * or else the imported settle of the expiry date
+ */
+
+import { parseStructure } from './structureGrammar';
+import { getContractExpiry } from './productRegistry';
+import { resolveExchangeTimeZone, zonedTimeToUtc } from './timeZones';
+import { resolveStructureName } from './tradeParser';
+import { getStructureSettlements } from './settlements';
+
+const FINAL_SETTLEMENTS_KEY = 'tradeLogger_finalSettlements';
+
+// Days ahead an open position's expiry counts as upcoming
+export const UPCOMING_EXPIRY_DAYS = 90;
+
+// Expiry closes are booked at midday exchange time on the last trading day
+const EXPIRY_HOUR = 12;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Structure name -> entered final settlement price
+let finalSettlements = {};
+
+/**
+ * Load final settlement prices from localStorage
+ */
+export function loadFinalSettlements() {
+    try {
+        const saved = localStorage.getItem(FINAL_SETTLEMENTS_KEY);
+        if (saved) {
+            finalSettlements = JSON.parse(saved);
+        }
+    } catch (e) {
+        console.error('Failed to load final settlements:', e);
+    }
+}
+
+/**
+ * Save final settlement prices to localStorage
+ */
+export function saveFinalSettlements() {
+    try {
+        localStorage.setItem(FINAL_SETTLEMENTS_KEY, JSON.stringify(finalSettlements));
+    } catch (e) {
+        console.error('Failed to save final settlements:', e);
+    }
+}
+
+/**
+ * Enter the final settlement price of an expired structure
+ * @throws {Error} When the structure is empty or the price is not a number
+ */
+export function setFinalSettlement(structure, price) {
+    const name = resolveStructureName(structure);
+    const value = typeof price === 'number' ? price : parseFloat(String(price).replace(/,/g, ''));
+    if (!name) throw new Error('Structure is required');
+    if (isNaN(value)) throw new Error(`Final settlement "${price}" is not a number`);
+
+    finalSettlements = { ...finalSettlements, [name]: value };
+    saveFinalSettlements();
+    return name;
+}
+
+/**
+ * Remove an entered final settlement (an imported settle of the expiry date still applies)
+ */
+export function removeFinalSettlement(structure) {
+    const { [structure]: _removed, ...rest } = finalSettlements;
+    finalSettlements = rest;
+    saveFinalSettlements();
+}
+
+/**
+ * Get all entered final settlements (structure name -> price)
+ */
+export function getFinalSettlements() {
+    return { ...finalSettlements };
+}
+
+/**
+ * Expiry of a structure and the final settlement its open lots close at
+ * @param {Object} [entered] - Entered final settlements to read (the saved ones by default)
+ * @param {number} [now] - Current time (ms)
+ * @returns {Object|null} { date, contract, timestamp, daysToExpiry, expired, finalSettlement }, where
+ *   finalSettlement is { price, source: 'entered' | 'imported' } or null; null when the product has no expiry rule
+ */
+export function resolveStructureExpiry(structureName, entered = finalSettlements, now = Date.now()) {
+    const model = parseStructure(structureName);
+    const date = model ? getContractExpiry(model.product, model.anchor) : null;
+    if (!date) return null;
+
+    const [year, month, day] = date.split('-').map(Number);
+    const timestamp = zonedTimeToUtc(
+        { year, month, day, hours: EXPIRY_HOUR },
+        resolveExchangeTimeZone(model.product.exchange)
+    ).getTime();
+
+    const imported = getStructureSettlements(structureName)[date];
+    let finalSettlement = null;
+    if (entered[structureName] !== undefined) {
+        finalSettlement = { price: entered[structureName], source: 'entered' };
+    } else if (imported !== undefined) {
+        finalSettlement = { price: imported, source: 'imported' };
+    }
+
+    return {
+        date,
+        contract: model.anchor.label,
+        timestamp,
+        daysToExpiry: Math.ceil((timestamp - now) / DAY_MS),
+        expired: timestamp <= now,
+        finalSettlement
+    };
+}
+
+/**
+ * Final settlement close for calculateFIFOPnL's expiry option
+ * @param {Object|null} expiry - From resolveStructureExpiry
+ * @returns {Object|null} { price, timestamp, date }, or null until the contract has expired and has a final settlement
+ */
+export function expiryClose(expiry) {
+    if (!expiry?.expired || !expiry.finalSettlement) return null;
+    return { price: expiry.finalSettlement.price, timestamp: expiry.timestamp, date: new Date(expiry.timestamp) };
+}
+
+// Initialize final settlements on load
+loadFinalSettlements();
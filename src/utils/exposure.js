@@ -0,0 +1,183 @@
+/**
+ * Outright Exposure
+ * Open positions broken down into outright contract-month lots through each structure's leg ratios,
+ * so spreads that offset or stack in the same month show as one net position per contract
+ * (a long Sep26 D-Fly is +1 Sep26, -3 Dec26, +3 Mar27, -1 Jun27 per lot)
+ * Rate risk (DV01 and tick risk) is measured on the same legs with each product's tick size and value
+ */
+
+import { parseStructure, addMonths, monthsBetween } from './structureGrammar';
+import { isListedMonth } from './productRegistry';
+
+// A basis point in price points for rate-quoted futures (priced 100 minus the rate)
+const BASIS_POINT = 0.01;
+
+/**
+ * Outright lots per leg of a structure position
+ * @param {number} netPosition - Structure lots (negative when short)
+ * @returns {Array|null} [{ contract, ratio, lots }], or null when the name has no leg model
+ */
+export function structureOutrightLegs(structureName, netPosition) {
+    const model = parseStructure(structureName);
+    if (!model) return null;
+    return model.legs.map(leg => ({ contract: leg.contract, ratio: leg.ratio, lots: leg.ratio * netPosition }));
+}
+
+/**
+ * Aggregate the open positions of all structures into an outright strip per product
+ * Listed months between a product's first and last exposed month are included, so gaps show as flat
+ * @param {Array} structuresData - Structures with name and netPosition
+ * @returns {{ products: Array, unmodeled: Array<string> }}
+ *   products: { instrument, product, netLots, grossLots, months: [{ contract, lots, contributors }] }, by instrument;
+ *   contributors: [{ structure, position, ratio, lots }]; unmodeled lists open structures whose names have no leg model
+ */
+export function calculateOutrightExposure(structuresData) {
+    const byInstrument = new Map();
+    const unmodeled = [];
+
+    for (const structure of structuresData) {
+        if (!structure.netPosition) continue;
+        const model = parseStructure(structure.name);
+        if (!model) {
+            unmodeled.push(structure.name);
+            continue;
+        }
+
+        if (!byInstrument.has(model.instrument)) {
+            byInstrument.set(model.instrument, { instrument: model.instrument, product: model.product, months: new Map() });
+        }
+        const { months } = byInstrument.get(model.instrument);
+
+        for (const leg of structureOutrightLegs(structure.name, structure.netPosition)) {
+            const bucket = months.get(leg.contract.label) || { contract: leg.contract, lots: 0, contributors: [] };
+            bucket.lots += leg.lots;
+            bucket.contributors.push({
+                structure: structure.name,
+                position: structure.netPosition,
+                ratio: leg.ratio,
+                lots: leg.lots
+            });
+            months.set(leg.contract.label, bucket);
+        }
+    }
+
+    const products = [...byInstrument.values()].map(({ instrument, product, months }) => {
+        const buckets = [...months.values()].sort((a, b) => monthsBetween(b.contract, a.contract));
+        const first = buckets[0].contract;
+        const last = buckets[buckets.length - 1].contract;
+
+        // Fill the strip with the flat listed months in between
+        const strip = [];
+        for (let offset = 0; offset <= monthsBetween(first, last); offset++) {
+            const contract = addMonths(first, offset);
+            const bucket = months.get(contract.label);
+            if (bucket) {
+                strip.push(bucket);
+            } else if (product && isListedMonth(product, contract.month)) {
+                strip.push({ contract, lots: 0, contributors: [] });
+            }
+        }
+
+        return {
+            instrument,
+            product,
+            netLots: strip.reduce((sum, bucket) => sum + bucket.lots, 0),
+            grossLots: strip.reduce((sum, bucket) => sum + Math.abs(bucket.lots), 0),
+            months: strip
+        };
+    }).sort((a, b) => a.instrument.localeCompare(b.instrument));
+
+    return { products, unmodeled };
+}
+
+/**
+ * Risk of one outright lot of a product, in the product's currency
+ * perBp is null for price-quoted (bond) futures: a price move there is not a fixed move in yield
+ * @returns {{ currency: string, perTick: number, perBp: number|null }|null} null for products not in the registry
+ */
+function lotRisk(product) {
+    if (!product) return null;
+    return {
+        currency: product.currency,
+        perTick: product.tickValue,
+        perBp: product.quotedAs === 'rate' ? product.tickValue * (BASIS_POINT / product.tickSize) : null
+    };
+}
+
+/**
+ * Format a risk amount in its currency ("£25.00", "+$41.67")
+ * @param {boolean} [signed] - Prefix positive amounts with +
+ */
+export function formatRiskAmount(value, currency, signed = false) {
+    const text = value.toLocaleString('en-US', { style: 'currency', currency, minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return signed && value > 0 ? `+${text}` : text;
+}
+
+/**
+ * Rate risk of a structure position, leg by leg, from its product's tick size and value
+ * Signed values are the P&L of a move up in price (rates down)
+ * @returns {Object|null} { currency, legs: [{ contract, lots, tickRisk, dv01 }], dv01, grossDv01, grossTickRisk };
+ *   dv01 moves every leg 1bp together (near zero for balanced spreads), grossDv01 and grossTickRisk
+ *   add up each leg's risk whatever its sign. The DV01 values are null for bond futures.
+ *   null when the name has no leg model or its product is not in the registry
+ */
+export function calculateStructureRisk(structureName, netPosition) {
+    const model = parseStructure(structureName);
+    const risk = lotRisk(model?.product);
+    if (!risk) return null;
+
+    const { currency, perTick, perBp } = risk;
+    const legRisk = structureOutrightLegs(structureName, netPosition).map(leg => ({
+        contract: leg.contract,
+        lots: leg.lots,
+        tickRisk: leg.lots * perTick,
+        dv01: perBp === null ? null : leg.lots * perBp
+    }));
+
+    return {
+        currency,
+        legs: legRisk,
+        dv01: perBp === null ? null : legRisk.reduce((sum, leg) => sum + leg.dv01, 0),
+        grossDv01: perBp === null ? null : legRisk.reduce((sum, leg) => sum + Math.abs(leg.dv01), 0),
+        grossTickRisk: legRisk.reduce((sum, leg) => sum + Math.abs(leg.tickRisk), 0)
+    };
+}
+
+/**
+ * Rate risk of the whole book per currency, on the outright strip
+ * Legs net across structures within a contract month before gross risk is added up
+ * @returns {{ byCurrency: Array, noDv01: Array<string>, unmodeled: Array<string> }}
+ *   byCurrency: [{ currency, dv01, grossDv01, grossTickRisk }] by currency code; noDv01 lists bond
+ *   futures (tick risk only); unmodeled lists structures and instruments with no leg model or registry product
+ */
+export function calculateBookRisk(structuresData) {
+    const { products, unmodeled } = calculateOutrightExposure(structuresData);
+    const totals = new Map();
+    const noDv01 = [];
+    const unknown = [];
+
+    for (const { instrument, product, months } of products) {
+        const risk = lotRisk(product);
+        if (!risk) {
+            unknown.push(instrument);
+            continue;
+        }
+        if (risk.perBp === null) noDv01.push(instrument);
+
+        const total = totals.get(risk.currency) || { currency: risk.currency, dv01: 0, grossDv01: 0, grossTickRisk: 0 };
+        for (const bucket of months) {
+            if (risk.perBp !== null) {
+                total.dv01 += bucket.lots * risk.perBp;
+                total.grossDv01 += Math.abs(bucket.lots) * risk.perBp;
+            }
+            total.grossTickRisk += Math.abs(bucket.lots) * risk.perTick;
+        }
+        totals.set(risk.currency, total);
+    }
+
+    return {
+        byCurrency: [...totals.values()].sort((a, b) => a.currency.localeCompare(b.currency)),
+        noDv01,
+        unmodeled: [...unmodeled, ...unknown]
+    };
+}
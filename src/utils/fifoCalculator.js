@@ -1,11 +1,16 @@
 /**
  * FIFO P&L Calculator
  * Calculates realized and unrealized P&L using First-In-First-Out matching
+ * (or LIFO, weighted-average cost or specific lots, see MATCHING_METHODS)
  * 
  * MATCHING LOGIC:
  * - Trades are matched in ENTRY ORDER (array position), NOT by timestamp
  * - If you enter a long, then enter a short, they MATCH immediately
  * - This reflects real trading where you close positions as you enter opposing trades
+ * - A book can match by execution time instead (see MATCHING_ORDERS), for when pasted
+ *   blotters or several sources put the array out of execution order
+ * - The method only decides WHICH open lot an exit closes
+ * - Lots still open when the contract expires close at its final settlement (EXPIRY matches)
  * 
  * RT COST FORMULA:
  * - Entry: rtLegs × quantity × $1.65
@@ -26,16 +31,104 @@ import {
     getRT_COST_PER_LOT,
     getTradingConfig
 } from './structureConfig';
+import { formatDateKey, getReportingTimeZone } from './timeZones';
+import { compareTrades } from './tradeParser';
+
+/**
+ * Lot matching methods
+ * - FIFO: an exit closes the oldest open lot first
+ * - LIFO: an exit closes the newest open lot first
+ * - AVERAGE: open lots are pooled at their weighted-average price
+ * - SPECIFIC: an exit closes the lots chosen for it, then falls back to FIFO
+ */
+export const MATCHING_METHODS = {
+    FIFO: { label: 'FIFO', description: 'First in, first out' },
+    LIFO: { label: 'LIFO', description: 'Last in, first out' },
+    AVERAGE: { label: 'Average Cost', description: 'Weighted-average cost of the open position' },
+    SPECIFIC: { label: 'Specific Lot', description: 'Exits close the lots chosen for them' }
+};
+
+/**
+ * Orders trades are matched in
+ * - ENTRY: array (entry) order
+ * - TIME: timestamp, then sequence within the same timestamp (entry order breaks remaining ties)
+ */
+export const MATCHING_ORDERS = {
+    ENTRY: { label: 'Entry Order', description: 'Trades match in the order they were entered' },
+    TIME: { label: 'Execution Time', description: 'Trades match by timestamp, then sequence' }
+};
+
+/**
+ * IDs a lot selection can name a trade by: its own, and its fills' when it is a consolidated order
+ */
+function selectionIds(trade) {
+    return trade.fills ? [trade.id, ...trade.fills.map(fill => fill.id)] : [trade.id];
+}
+
+/**
+ * ID lot selections are saved under: the first fill of a consolidated order, so a selection
+ * applies whether fills are grouped by order or not
+ */
+export function lotSelectionId(trade) {
+    return trade.fills ? trade.fills[0].id : trade.id;
+}
+
+/**
+ * Lots chosen for an exit, in order, from selections saved under the exit or any of its fills
+ * @returns {Array<string>} Trade or fill IDs of the chosen lots
+ */
+export function getLotSelection(lotSelections, trade) {
+    return selectionIds(trade).flatMap(id => lotSelections?.[id] || []);
+}
+
+/**
+ * Index of the open lot an exit closes next
+ * @param {Array} queue - Open lots, oldest first
+ * @param {Array<string>} [selectedIds] - Trade or fill IDs of the lots chosen for this exit (SPECIFIC)
+ */
+function nextLotIndex(queue, method, selectedIds) {
+    if (method === 'LIFO') return queue.length - 1;
+    if (method === 'SPECIFIC' && selectedIds) {
+        for (const id of selectedIds) {
+            const index = queue.findIndex(lot => selectionIds(lot).includes(id));
+            if (index >= 0) return index;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Pool open lots into one at their weighted-average price (AVERAGE)
+ * The pooled lot keeps the oldest lot's entry details
+ */
+function poolLots(queue) {
+    if (queue.length < 2) return queue;
+    const quantity = queue.reduce((sum, lot) => sum + lot.quantity, 0);
+    const price = queue.reduce((sum, lot) => sum + lot.price * lot.quantity, 0) / quantity;
+    return [{ ...queue[0], quantity, price, pooledLots: queue.reduce((sum, lot) => sum + (lot.pooledLots || 1), 0) }];
+}
 
 /**
  * Calculate FIFO P&L for a single structure's trades
  * @param {Array} trades - Array of trades for a single structure, in ENTRY ORDER
  * @param {string} structureName - Name of the structure for RT cost lookup
+ * @param {Object} [options]
+ * @param {string} [options.method] - Key of MATCHING_METHODS (FIFO by default)
+ * @param {string} [options.order] - Key of MATCHING_ORDERS (ENTRY by default)
+ * @param {Object} [options.lotSelections] - Closing trade ID -> open lot trade IDs (SPECIFIC); consolidated
+ *   orders match selections saved under their fills
+ * @param {Object} [options.markPrice] - { price, timestamp } to value open lots at
+ * @param {Object} [options.expiry] - { price, timestamp, date } final settlement of an expired contract;
+ *   lots open at its timestamp close at it, before any trade stamped later
  * @returns {Object} P&L calculations including realized, unrealized, and match history
  */
-export function calculateFIFOPnL(trades, structureName = '') {
+export function calculateFIFOPnL(trades, structureName = '', options = {}) {
+    const { method = 'FIFO', order = 'ENTRY', lotSelections = {}, markPrice = null, expiry = null } = options;
+
     // IMPORTANT: Process trades in entry order (array order), NOT sorted by timestamp
     // This is because user enters trades in the order they execute them
+    // (unless the book matches by execution time; the sort is stable, so ties keep entry order)
+    const ordered = order === 'TIME' ? [...trades].sort(compareTrades) : trades;
 
     // Get RT legs for this structure (entry cost)
     const rtLegs = structureName ? getStructureRTLegs(structureName) : 1;
@@ -63,7 +156,64 @@ export function calculateFIFOPnL(trades, structureName = '') {
     // Track entry order for each trade
     let entryIndex = 0;
 
-    for (const trade of trades) {
+    // Close the lots open at the final settlement once the contract has expired: before the first
+    // trade stamped after the expiry (reported in tradesAfterExpiry), or after the last trade
+    let expiryClosed = false;
+    const tradesAfterExpiry = [];
+    const closeAtExpiry = () => {
+        expiryClosed = true;
+        entryIndex++;
+        for (const lot of [...longQueue, ...shortQueue]) {
+            const pnl = lot.side === 'BUY'
+                ? lot.quantity * (expiry.price - lot.price)
+                : lot.quantity * (lot.price - expiry.price);
+            realizedPnL += pnl;
+
+            const grossDollars = pricePnLToDollars(pnl);
+            const rtCost = calculateRTCost(lot.quantity, rtLegs);
+            const netDollars = grossDollars - rtCost;
+
+            grossPnLDollars += grossDollars;
+            totalRTCost += rtCost;
+            realizedPnLDollars += netDollars;
+
+            matches.push({
+                openTrade: { ...lot },
+                closeTrade: {
+                    // Stable per structure, expiry and lot, like a trade's content-based ID
+                    id: `expiry-${structureName}-${formatDateKey(expiry.date, 'UTC')}-${lot.id}`,
+                    structure: lot.structure,
+                    side: lot.side === 'BUY' ? 'SELL' : 'BUY',
+                    quantity: lot.quantity,
+                    price: expiry.price,
+                    timestamp: expiry.timestamp,
+                    date: expiry.date,
+                    source: 'expiry'
+                },
+                matchQty: lot.quantity,
+                pnl,
+                pnlDollars: grossDollars,
+                rtCost,
+                netPnLDollars: netDollars,
+                rtLegsEntry: rtLegs,
+                rtLegsTotal: totalRtLegsPerRoundTrip,
+                type: 'EXPIRY',
+                method,
+                closedAt: expiry.timestamp,
+                closeDate: expiry.date,
+                entryOrder: lot.entryOrder,
+                exitOrder: entryIndex
+            });
+        }
+        longQueue.length = 0;
+        shortQueue.length = 0;
+    };
+
+    for (const trade of ordered) {
+        if (expiry && trade.timestamp > expiry.timestamp) {
+            if (!expiryClosed) closeAtExpiry();
+            tradesAfterExpiry.push(trade);
+        }
         const { side, quantity, price, timestamp, date } = trade;
         let remainingQty = quantity;
         entryIndex++;
@@ -74,12 +224,13 @@ export function calculateFIFOPnL(trades, structureName = '') {
 
             // Try to match against short queue first (covering shorts)
             while (remainingQty > 0 && shortQueue.length > 0) {
-                const oldestShort = shortQueue[0];
-                const matchQty = Math.min(remainingQty, oldestShort.quantity);
+                const lotIndex = nextLotIndex(shortQueue, method, getLotSelection(lotSelections, trade));
+                const openShort = shortQueue[lotIndex];
+                const matchQty = Math.min(remainingQty, openShort.quantity);
 
                 // Realize P&L: Short sold at shortPrice, bought back at buyPrice
                 // Profit if buyPrice < shortPrice
-                const pnl = matchQty * (oldestShort.price - price);
+                const pnl = matchQty * (openShort.price - price);
                 realizedPnL += pnl;
 
                 // Calculate dollar P&L with correct RT cost (entry + exit)
@@ -92,7 +243,7 @@ export function calculateFIFOPnL(trades, structureName = '') {
                 realizedPnLDollars += netDollars;
 
                 matches.push({
-                    openTrade: { ...oldestShort },
+                    openTrade: { ...openShort },
                     closeTrade: { ...trade },
                     matchQty,
                     pnl,
@@ -102,17 +253,18 @@ export function calculateFIFOPnL(trades, structureName = '') {
                     rtLegsEntry: rtLegs,
                     rtLegsTotal: totalRtLegsPerRoundTrip,
                     type: 'COVER_SHORT',
+                    method,
                     closedAt: timestamp,
                     closeDate: date,
-                    entryOrder: oldestShort.entryOrder,
+                    entryOrder: openShort.entryOrder,
                     exitOrder: entryIndex
                 });
 
                 remainingQty -= matchQty;
-                oldestShort.quantity -= matchQty;
+                openShort.quantity -= matchQty;
 
-                if (oldestShort.quantity === 0) {
-                    shortQueue.shift();
+                if (openShort.quantity === 0) {
+                    shortQueue.splice(lotIndex, 1);
                 }
             }
 
@@ -124,6 +276,7 @@ export function calculateFIFOPnL(trades, structureName = '') {
                     originalQty: quantity,
                     entryOrder: entryIndex
                 });
+                if (method === 'AVERAGE') longQueue.splice(0, longQueue.length, ...poolLots(longQueue));
             }
         } else {
             // SELL
@@ -132,12 +285,13 @@ export function calculateFIFOPnL(trades, structureName = '') {
 
             // Try to match against long queue first (closing longs)
             while (remainingQty > 0 && longQueue.length > 0) {
-                const oldestLong = longQueue[0];
-                const matchQty = Math.min(remainingQty, oldestLong.quantity);
+                const lotIndex = nextLotIndex(longQueue, method, getLotSelection(lotSelections, trade));
+                const openLong = longQueue[lotIndex];
+                const matchQty = Math.min(remainingQty, openLong.quantity);
 
                 // Realize P&L: Bought at buyPrice, sold at sellPrice
                 // Profit if sellPrice > buyPrice
-                const pnl = matchQty * (price - oldestLong.price);
+                const pnl = matchQty * (price - openLong.price);
                 realizedPnL += pnl;
 
                 // Calculate dollar P&L with correct RT cost (entry + exit)
@@ -150,7 +304,7 @@ export function calculateFIFOPnL(trades, structureName = '') {
                 realizedPnLDollars += netDollars;
 
                 matches.push({
-                    openTrade: { ...oldestLong },
+                    openTrade: { ...openLong },
                     closeTrade: { ...trade },
                     matchQty,
                     pnl,
@@ -160,17 +314,18 @@ export function calculateFIFOPnL(trades, structureName = '') {
                     rtLegsEntry: rtLegs,
                     rtLegsTotal: totalRtLegsPerRoundTrip,
                     type: 'CLOSE_LONG',
+                    method,
                     closedAt: timestamp,
                     closeDate: date,
-                    entryOrder: oldestLong.entryOrder,
+                    entryOrder: openLong.entryOrder,
                     exitOrder: entryIndex
                 });
 
                 remainingQty -= matchQty;
-                oldestLong.quantity -= matchQty;
+                openLong.quantity -= matchQty;
 
-                if (oldestLong.quantity === 0) {
-                    longQueue.shift();
+                if (openLong.quantity === 0) {
+                    longQueue.splice(lotIndex, 1);
                 }
             }
 
@@ -182,10 +337,14 @@ export function calculateFIFOPnL(trades, structureName = '') {
                     originalQty: quantity,
                     entryOrder: entryIndex
                 });
+                if (method === 'AVERAGE') shortQueue.splice(0, shortQueue.length, ...poolLots(shortQueue));
             }
         }
     }
 
+    // Lots still open when no trade came after the expiry
+    if (expiry && !expiryClosed) closeAtExpiry();
+
     // Calculate unrealized P&L and position metrics
     const openLongQty = longQueue.reduce((sum, p) => sum + p.quantity, 0);
     const openShortQty = shortQueue.reduce((sum, p) => sum + p.quantity, 0);
@@ -198,6 +357,24 @@ export function calculateFIFOPnL(trades, structureName = '') {
         ? shortQueue.reduce((sum, p) => sum + p.price * p.quantity, 0) / openShortQty
         : 0;
 
+    // Value open lots at the mark; each lot's round-trip cost is booked when it closes,
+    // so it is still to pay and comes off its unrealized P&L
+    const markLot = (lot, pnl) => {
+        const unrealizedRTCost = calculateRTCost(lot.quantity, rtLegs);
+        return {
+            ...lot,
+            unrealizedPnL: pnl,
+            unrealizedRTCost,
+            unrealizedPnLDollars: pricePnLToDollars(pnl) - unrealizedRTCost
+        };
+    };
+    const markedLongs = markPrice ? longQueue.map(lot => markLot(lot, lot.quantity * (markPrice.price - lot.price))) : longQueue;
+    const markedShorts = markPrice ? shortQueue.map(lot => markLot(lot, lot.quantity * (lot.price - markPrice.price))) : shortQueue;
+    const openLots = [...markedLongs, ...markedShorts];
+    const unrealizedPnL = markPrice ? openLots.reduce((sum, lot) => sum + lot.unrealizedPnL, 0) : 0;
+    const unrealizedPnLDollars = markPrice ? openLots.reduce((sum, lot) => sum + lot.unrealizedPnLDollars, 0) : 0;
+    const unrealizedRTCost = markPrice ? openLots.reduce((sum, lot) => sum + lot.unrealizedRTCost, 0) : 0;
+
     const avgBuyPrice = totalBuyQty > 0 ? totalBuyCost / totalBuyQty : 0;
     const avgSellPrice = totalSellQty > 0 ? totalSellProceeds / totalSellQty : 0;
 
@@ -206,12 +383,24 @@ export function calculateFIFOPnL(trades, structureName = '') {
     return {
         // P&L in price units
         realizedPnL,
-        unrealizedPnL: 0, // Would need mark price for this
+        unrealizedPnL,
 
         // P&L in dollars
         realizedPnLDollars,
         grossPnLDollars,
         totalRTCost,
+        unrealizedPnLDollars,
+        unrealizedRTCost,
+        totalPnLDollars: realizedPnLDollars + unrealizedPnLDollars,
+
+        // Mark the open lots are valued at (null when none is set)
+        markPrice: markPrice ? markPrice.price : null,
+        markTimestamp: markPrice ? markPrice.timestamp : null,
+
+        // Final settlement the remaining lots closed at (null until the contract has expired and settled)
+        finalSettlement: expiry ? expiry.price : null,
+        // Trades stamped after the expiry close (a settled contract should have none)
+        tradesAfterExpiry,
 
         // Position info
         netPosition,
@@ -228,11 +417,82 @@ export function calculateFIFOPnL(trades, structureName = '') {
         // Structure info
         rtLegs,
         totalRtLegsPerRoundTrip,
+        matchingMethod: method,
+        matchingOrder: order,
 
         // Match history
         matches,
-        longQueue: [...longQueue],
-        shortQueue: [...shortQueue]
+        longQueue: [...markedLongs],
+        shortQueue: [...markedShorts]
+    };
+}
+
+/**
+ * Whether a match closed a long lot (CLOSE_LONG, or EXPIRY of a long lot)
+ */
+export function isLongMatch(match) {
+    return match.type === 'CLOSE_LONG' || (match.type === 'EXPIRY' && match.openTrade?.side === 'BUY');
+}
+
+/**
+ * Realized P&L of a structure's trades under every matching method, for side-by-side comparison
+ * @param {Object} [options] - order, lotSelections and expiry as for calculateFIFOPnL (method is set per row)
+ * @returns {Array} { method, label, realizedPnLDollars, grossPnLDollars, totalRTCost, closedQty, matchCount }
+ */
+export function compareMatchingMethods(trades, structureName = '', options = {}) {
+    const { order = 'ENTRY', lotSelections = {}, expiry = null } = options;
+    return Object.entries(MATCHING_METHODS).map(([method, { label }]) => {
+        const result = calculateFIFOPnL(trades, structureName, { method, order, lotSelections, expiry });
+        return {
+            method,
+            label,
+            realizedPnLDollars: result.realizedPnLDollars,
+            grossPnLDollars: result.grossPnLDollars,
+            totalRTCost: result.totalRTCost,
+            closedQty: result.closedQty,
+            matchCount: result.matches.length
+        };
+    });
+}
+
+/**
+ * Trades entered after a trade that executed later than them
+ * @param {Array} trades - Trades in ENTRY ORDER
+ * @returns {Array} { trade, enteredAfter } - enteredAfter is the latest-executed trade entered before it
+ */
+export function findOutOfOrderTrades(trades) {
+    const outOfOrder = [];
+    let latest = null;
+    for (const trade of trades) {
+        if (latest && compareTrades(trade, latest) < 0) {
+            outOfOrder.push({ trade, enteredAfter: latest });
+        } else {
+            latest = trade;
+        }
+    }
+    return outOfOrder;
+}
+
+/**
+ * Realized P&L of a structure in entry order and in execution-time order
+ * Both are only calculated when some trade is out of order (otherwise the orders match the same)
+ * @param {Object} [options] - method and lotSelections as for calculateFIFOPnL
+ * @returns {{ outOfOrder: Array, entryRealizedPnLDollars: number|null, timeRealizedPnLDollars: number|null, differs: boolean }}
+ */
+export function compareMatchingOrders(trades, structureName = '', options = {}) {
+    const outOfOrder = findOutOfOrderTrades(trades);
+    if (outOfOrder.length === 0) {
+        return { outOfOrder, entryRealizedPnLDollars: null, timeRealizedPnLDollars: null, differs: false };
+    }
+
+    const entry = calculateFIFOPnL(trades, structureName, { ...options, order: 'ENTRY' });
+    const time = calculateFIFOPnL(trades, structureName, { ...options, order: 'TIME' });
+    return {
+        outOfOrder,
+        entryRealizedPnLDollars: entry.realizedPnLDollars,
+        timeRealizedPnLDollars: time.realizedPnLDollars,
+        // Cent tolerance for floating-point noise
+        differs: Math.abs(entry.realizedPnLDollars - time.realizedPnLDollars) >= 0.005
     };
 }
 
@@ -266,14 +526,15 @@ export function calculateCumulativePnL(matches) {
 
 /**
  * Calculate P&L by date for aggregated view
+ * Days are cut at midnight in timeZone (the reporting zone by default)
  */
-export function calculateDailyPnL(matches) {
+export function calculateDailyPnL(matches, timeZone = getReportingTimeZone()) {
     if (!matches || matches.length === 0) return [];
 
     const dailyMap = {};
 
     for (const match of matches) {
-        const dateKey = match.closeDate?.toISOString?.()?.split('T')[0] || 'unknown';
+        const dateKey = formatDateKey(match.closeDate, timeZone);
         if (!dailyMap[dateKey]) {
             dailyMap[dateKey] = {
                 date: dateKey,
@@ -301,6 +562,52 @@ export function calculateDailyPnL(matches) {
     });
 }
 
+/**
+ * Daily mark-to-market P&L of one structure
+ * Each day's P&L is realized P&L plus the change in unrealized P&L, with open lots valued at the
+ * latest settle on or before the day, so positions held overnight move the series before they close
+ * @param {Array} trades - The structure's trades, in ENTRY ORDER
+ * @param {Object} settlements - Date (YYYY-MM-DD) -> settle
+ * @param {Object} [options] - method, order, lotSelections and expiry as for calculateFIFOPnL, and timeZone for day cuts
+ *   (the expiry close counts from its own day on)
+ * @returns {Array} { date, settle, realized, unrealized, pnl, cumulative } per day
+ */
+export function calculateDailyMTMPnL(trades, structureName, settlements, options = {}) {
+    const { timeZone = getReportingTimeZone(), expiry = null, ...matchOptions } = options;
+    if (!trades || trades.length === 0) return [];
+
+    const tradeDays = trades.map(trade => formatDateKey(trade.date, timeZone));
+    const firstDay = [...tradeDays].sort()[0];
+    const settleDays = Object.keys(settlements).filter(day => day >= firstDay).sort();
+    const expiryDay = expiry ? formatDateKey(expiry.date, timeZone) : null;
+    const days = [...new Set([...tradeDays, ...settleDays, ...(expiryDay ? [expiryDay] : [])])].sort();
+
+    let previousEquity = 0;
+    let previousRealized = 0;
+    return days.map(day => {
+        const settleDay = [...settleDays].reverse().find(d => d <= day);
+        const markPrice = settleDay ? { price: settlements[settleDay], timestamp: null } : null;
+        const result = calculateFIFOPnL(
+            trades.filter((_, idx) => tradeDays[idx] <= day),
+            structureName,
+            { ...matchOptions, markPrice, expiry: expiryDay && day >= expiryDay ? expiry : null }
+        );
+
+        const equity = result.realizedPnLDollars + result.unrealizedPnLDollars;
+        const row = {
+            date: day,
+            settle: settleDay === day ? settlements[day] : null,
+            realized: result.realizedPnLDollars - previousRealized,
+            unrealized: result.unrealizedPnLDollars,
+            pnl: equity - previousEquity,
+            cumulative: equity
+        };
+        previousEquity = equity;
+        previousRealized = result.realizedPnLDollars;
+        return row;
+    });
+}
+
 /**
  * Calculate P&L statistics for a structure
  * A SCRATCH is a trade where gross P&L = 0 (same entry/exit price)
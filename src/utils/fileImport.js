@@ -0,0 +1,119 @@
+/**
+ * File Import
+ * Streams uploaded blotters (.csv/.tsv/.txt) and FIX logs through the parsers
+ * in chunks, reporting progress so large files don't freeze the page
+ */
+
+import { parseTrades, detectHeaderProfile, compareTrades, assignTradeIds } from './tradeParser';
+import { isFixRecord, parseFixMessages } from './fixParser';
+
+export const ACCEPTED_FILE_TYPES = '.csv,.tsv,.txt,.log,.fix';
+
+// Lines handed to parseTrades per batch
+const BATCH_LINES = 2000;
+
+/**
+ * Check whether a dropped file has an extension we can import
+ */
+export function isAcceptedFile(file) {
+    const ext = (file?.name || '').toLowerCase().match(/\.[^.]+$/)?.[0];
+    return !!ext && ACCEPTED_FILE_TYPES.split(',').includes(ext);
+}
+
+// Let the browser paint progress between batches
+const nextFrame = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Import trades from a File
+ * @param {File} file
+ * @param {Object} [options]
+ * @param {Object} [options.profile] - Import profile; a header row or heuristics are used when omitted
+ * @param {string} [options.dateOrder] - Global date order (DMY, MDY, YMD or 'auto')
+ * @param {Function} [options.onProgress] - Called with a 0..1 fraction of bytes read
+ * @returns {Promise<{ trades: Array, errors: Array, rows?: Array, dateOrder?: Object }>}
+ */
+export async function importTradesFile(file, { profile = null, dateOrder = 'auto', onProgress } = {}) {
+    const reader = file.stream().getReader();
+    const decoder = new TextDecoder();
+    const trades = [];
+    const errors = [];
+    const rows = [];
+
+    let bytesRead = 0;
+    let pending = '';
+    let linesSeen = 0;
+    let activeProfile = profile;
+    let activeDateOrder = dateOrder;
+    let dateOrderInfo = null;
+    let isFix = null;
+    let fixText = '';
+
+    const parseBatch = (lines) => {
+        const result = parseTrades(lines.join('\n'), { profile: activeProfile, dateOrder: activeDateOrder, lineOffset: linesSeen });
+        trades.push(...result.trades);
+        errors.push(...result.errors);
+        rows.push(...result.rows);
+        linesSeen += lines.length;
+
+        // Once a batch settles the date order, later batches read dates the same way
+        if (!dateOrderInfo || dateOrderInfo.order === 'auto') {
+            dateOrderInfo = result.dateOrder;
+            if (result.dateOrder.order !== 'auto') activeDateOrder = result.dateOrder.order;
+        }
+
+        // Header rows only appear in the first batch
+        if (activeProfile?.hasHeader) {
+            activeProfile = { ...activeProfile, hasHeader: false };
+        }
+    };
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (value) {
+            bytesRead += value.byteLength;
+            pending += decoder.decode(value, { stream: true });
+        }
+        if (done) pending += decoder.decode();
+
+        // FIX or delimited is decided on the first complete non-blank record, however the chunks fall
+        if (isFix === null) {
+            const lines = pending.split(/\r?\n/);
+            const firstRecord = (done ? lines : lines.slice(0, -1)).find(line => line.trim());
+            if (firstRecord !== undefined) {
+                isFix = isFixRecord(firstRecord);
+            } else if (done) {
+                isFix = false;
+            }
+        }
+
+        if (isFix) {
+            // FIX busts can reference fills anywhere in the log, so FIX is parsed once at the end
+            fixText += pending;
+            pending = '';
+        } else if (isFix === false) {
+            const lines = pending.split(/\r?\n/);
+            pending = done ? '' : lines.pop();
+            const complete = lines.filter(line => line.trim());
+
+            if (linesSeen === 0 && !activeProfile && complete.length > 0) {
+                activeProfile = detectHeaderProfile(complete[0]);
+            }
+
+            for (let i = 0; i < complete.length; i += BATCH_LINES) {
+                parseBatch(complete.slice(i, i + BATCH_LINES));
+            }
+        }
+
+        onProgress?.(file.size > 0 ? Math.min(bytesRead / file.size, 1) : 1);
+        if (done) break;
+        await nextFrame();
+    }
+
+    if (isFix) {
+        return parseFixMessages(fixText);
+    }
+
+    trades.sort(compareTrades);
+    // Number identical fills across the whole file, not per batch
+    return { trades: assignTradeIds(trades), errors, rows, dateOrder: dateOrderInfo };
+}
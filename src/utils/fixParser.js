@@ -0,0 +1,239 @@
+/**
+ * FIX Execution Report Parser
+ * Reads fills from gateway logs of FIX tag=value messages (35=8)
+ * Field delimiters: SOH (\x01), "^A" or "|"
+ */
+
+import { buildTrade, compareTrades, assignTradeIds } from './tradeParser';
+import { resolveExchangeTimeZone, formatTime } from './timeZones';
+import { MONTH_NAMES } from './structureGrammar';
+
+// FIX tags we read
+const TAG = {
+    ACCOUNT: '1',
+    EXEC_ID: '17',
+    EXEC_REF_ID: '19',
+    EXEC_TRANS_TYPE: '20',
+    LAST_MKT: '30',
+    LAST_PX: '31',
+    LAST_QTY: '32',
+    MSG_TYPE: '35',
+    ORDER_ID: '37',
+    SENDER_SUB_ID: '50',
+    SENDING_TIME: '52',
+    SIDE: '54',
+    SYMBOL: '55',
+    TRANSACT_TIME: '60',
+    SECURITY_DESC: '107',
+    EXEC_TYPE: '150',
+    MATURITY_MONTH_YEAR: '200',
+    SECURITY_EXCHANGE: '207'
+};
+
+// ExecType (150) values that carry a fill: F = Trade (4.4+), 1/2 = Partial/Fill (4.2)
+const FILL_EXEC_TYPES = new Set(['F', '1', '2']);
+// ExecType H = Trade Cancel (bust)
+const BUST_EXEC_TYPE = 'H';
+// ExecTransType (20) 1 = Cancel in FIX 4.2
+const BUST_TRANS_TYPE = '1';
+// ExecType G = Trade Correct; ExecTransType (20) 2 = Correct in FIX 4.2
+const CORRECTION_EXEC_TYPE = 'G';
+const CORRECTION_TRANS_TYPE = '2';
+
+/**
+ * Check whether pasted text looks like a FIX log
+ */
+export function isFixLog(input) {
+    if (!input || typeof input !== 'string') return false;
+    return /\b35=8\b/.test(input) && /\b(31|32)=/.test(input);
+}
+
+/**
+ * Check whether one log line is a FIX message of any type (logons and heartbeats included)
+ * Tells a FIX log from a blotter by its first record
+ */
+export function isFixRecord(line) {
+    // Tag 35 after any field delimiter (SOH, "^A", "|") or at the start of the line
+    return line.includes('8=FIX') || /(^|\D)35=\w/.test(line);
+}
+
+/**
+ * Split a raw message into a tag -> value map
+ * Repeating groups are not needed for fills, so the first occurrence wins
+ */
+function parseFixFields(message) {
+    const delimiter = message.includes('\x01') ? '\x01' : message.includes('^A') ? '^A' : '|';
+    const fields = {};
+
+    for (const pair of message.split(delimiter)) {
+        const eq = pair.indexOf('=');
+        if (eq <= 0) continue;
+        const tag = pair.slice(0, eq).trim();
+        if (!/^\d+$/.test(tag) || fields[tag] !== undefined) continue;
+        fields[tag] = pair.slice(eq + 1).trim();
+    }
+
+    return fields;
+}
+
+/**
+ * Extract individual messages from a log
+ * Log prefixes (timestamps, session ids) before "8=FIX" are dropped
+ */
+function extractMessages(input) {
+    const messages = [];
+    const lines = input.split('\n').filter(line => line.trim());
+
+    lines.forEach((line, idx) => {
+        const start = line.indexOf('8=FIX');
+        const body = start >= 0 ? line.slice(start) : line;
+        for (const message of body.split(/(?=8=FIX)/)) {
+            if (message.includes('35=')) {
+                messages.push({ line: idx + 1, raw: message });
+            }
+        }
+    });
+
+    return messages;
+}
+
+/**
+ * Parse a FIX UTCTimestamp ("20250616-16:38:25.123")
+ */
+function parseFixTimestamp(value) {
+    const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})-(\d{2}):(\d{2}):(\d{2})(?:\.(\d{1,3}))?/);
+    if (!match) return null;
+    const [, year, month, day, hours, minutes, seconds, millis = '0'] = match;
+    return new Date(Date.UTC(
+        parseInt(year), parseInt(month) - 1, parseInt(day),
+        parseInt(hours), parseInt(minutes), parseInt(seconds),
+        parseInt(millis.padEnd(3, '0'))
+    ));
+}
+
+/**
+ * Map a FIX instrument to our structure naming
+ * SecurityDesc usually carries the full spread name ("SON Sep26 D-Fly");
+ * otherwise Symbol + MaturityMonthYear gives an outright ("SO3 Mar26")
+ */
+function resolveStructure(fields) {
+    if (fields[TAG.SECURITY_DESC]) return fields[TAG.SECURITY_DESC];
+
+    const symbol = fields[TAG.SYMBOL];
+    if (!symbol) return null;
+
+    const maturity = (fields[TAG.MATURITY_MONTH_YEAR] || '').match(/^(\d{4})(\d{2})/);
+    if (maturity) {
+        const [, year, month] = maturity;
+        return `${symbol} ${MONTH_NAMES[parseInt(month) - 1]}${year.slice(2)}`;
+    }
+
+    return symbol;
+}
+
+/**
+ * Parse ExecutionReports from a pasted or uploaded FIX log
+ * Non-fill exec types are skipped; busted executions remove the fill they reference.
+ * Corrections are not applied and are reported in errors
+ * @returns {{ trades: Array, errors: Array, ignored: number, busts: Array }}
+ *   busts: [{ line, content, execId }] for busted fills that are not in this log (imported earlier)
+ */
+export function parseFixMessages(input) {
+    if (!input || typeof input !== 'string') return { trades: [], errors: [], ignored: 0, busts: [] };
+
+    const fills = new Map();
+    const busted = new Map();
+    const errors = [];
+    let ignored = 0;
+    // Position of each report in the log (orders fills with the same TransactTime)
+    let sequence = 0;
+
+    for (const { line, raw } of extractMessages(input)) {
+        const fields = parseFixFields(raw);
+
+        if (fields[TAG.MSG_TYPE] !== '8') {
+            ignored++;
+            continue;
+        }
+
+        const execType = fields[TAG.EXEC_TYPE];
+        const isBust = execType === BUST_EXEC_TYPE || fields[TAG.EXEC_TRANS_TYPE] === BUST_TRANS_TYPE;
+
+        if (isBust) {
+            if (fields[TAG.EXEC_REF_ID]) {
+                busted.set(fields[TAG.EXEC_REF_ID], { line, content: raw, execId: fields[TAG.EXEC_REF_ID] });
+                ignored++;
+            } else {
+                errors.push({ line, content: raw, reason: 'Trade bust without ExecRefID (19): the busted fill is unknown' });
+            }
+            continue;
+        }
+
+        if (execType === CORRECTION_EXEC_TYPE || fields[TAG.EXEC_TRANS_TYPE] === CORRECTION_TRANS_TYPE) {
+            const ref = fields[TAG.EXEC_REF_ID];
+            errors.push({
+                line,
+                content: raw,
+                reason: `Trade correction${ref ? ` of ExecID ${ref}` : ''} not applied: edit the fill by hand`
+            });
+            continue;
+        }
+
+        if (!FILL_EXEC_TYPES.has(execType)) {
+            ignored++;
+            continue;
+        }
+
+        const execId = fields[TAG.EXEC_ID];
+        const quantity = parseFloat(fields[TAG.LAST_QTY]);
+        const price = parseFloat(fields[TAG.LAST_PX]);
+        const structure = resolveStructure(fields);
+        const side = fields[TAG.SIDE] === '1' ? 'BUY' : ['2', '5', '6'].includes(fields[TAG.SIDE]) ? 'SELL' : null;
+        const date = parseFixTimestamp(fields[TAG.TRANSACT_TIME]) || parseFixTimestamp(fields[TAG.SENDING_TIME]);
+
+        if (!(quantity > 0)) {
+            // Fill reports without LastQty carry no execution
+            ignored++;
+            continue;
+        }
+        if (!structure || !side || !date || isNaN(price)) {
+            errors.push({ line, content: raw, reason: 'Missing Symbol, Side, LastPx or TransactTime' });
+            continue;
+        }
+
+        // TransactTime is UTC; the fill's wall-clock time is shown in the exchange's zone
+        const exchange = fields[TAG.SECURITY_EXCHANGE] || fields[TAG.LAST_MKT] || 'FIX';
+        const timeZone = resolveExchangeTimeZone(exchange);
+
+        const trade = buildTrade({
+            date,
+            time: formatTime(date, timeZone),
+            exchange,
+            timeZone,
+            sequence: ++sequence,
+            source: 'fix',
+            structure,
+            side,
+            quantity,
+            price,
+            execId,
+            orderId: fields[TAG.ORDER_ID],
+            account: fields[TAG.ACCOUNT],
+            // SenderSubID identifies the trader on most gateways
+            trader: fields[TAG.SENDER_SUB_ID]
+        });
+
+        // Resent reports (PossDup) repeat the same ExecID
+        fills.set(execId || `${line}-${fills.size}`, trade);
+    }
+
+    const trades = [...fills.entries()]
+        .filter(([execId]) => !busted.has(execId))
+        .map(([, trade]) => trade)
+        .sort(compareTrades);
+
+    const busts = [...busted.values()].filter(bust => !fills.has(bust.execId));
+
+    // IDs include the ExecID, so a re-sent log merges with what was imported before
+    return { trades: assignTradeIds(trades), errors, ignored, busts };
+}
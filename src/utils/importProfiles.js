@@ -0,0 +1,232 @@
+/**
+ * Import Profiles
+ * Saved blotter layouts (column order, delimiter, date format, side vocabulary)
+ * so pasted fills are read by position instead of guessed cell by cell
+ */
+
+const PROFILES_KEY = 'tradeLogger_importProfiles';
+
+/**
+ * Fields a profile column can map to
+ * 'datetime' is for brokers that put date and time in one cell
+ */
+export const PROFILE_FIELDS = [
+    { key: 'ignore', label: '(ignore)' },
+    { key: 'date', label: 'Date' },
+    { key: 'time', label: 'Time' },
+    { key: 'datetime', label: 'Date + Time' },
+    { key: 'exchange', label: 'Exchange' },
+    { key: 'structure', label: 'Structure' },
+    { key: 'side', label: 'Side' },
+    { key: 'quantity', label: 'Quantity' },
+    { key: 'price', label: 'Price' },
+    { key: 'execId', label: 'Exec ID' },
+    { key: 'orderId', label: 'Order ID' },
+    { key: 'account', label: 'Account' },
+    { key: 'trader', label: 'Trader' }
+];
+
+/**
+ * Supported column delimiters
+ */
+export const DELIMITERS = {
+    tab: { label: 'Tab', separator: '\t' },
+    comma: { label: 'Comma', separator: ',' },
+    semicolon: { label: 'Semicolon', separator: ';' },
+    pipe: { label: 'Pipe', separator: '|' },
+    spaces: { label: '2+ spaces', separator: /\s{2,}/ }
+};
+
+/**
+ * Numeric date orders (16/06/25 = DMY, 06/16/25 = MDY, 25/06/16 = YMD)
+ * A profile may also use 'auto' to infer the order from each paste
+ */
+export const DATE_FORMATS = ['DMY', 'MDY', 'YMD'];
+
+const DEFAULT_SIDE_VOCABULARY = {
+    buy: ['B', 'BUY', 'BOUGHT', 'LONG'],
+    sell: ['S', 'SELL', 'SOLD', 'SHORT']
+};
+
+/**
+ * Built-in profiles for the blotters we see most often
+ */
+export const BUILTIN_PROFILES = [
+    {
+        id: 'tt',
+        name: 'TT Fills',
+        builtIn: true,
+        delimiter: 'tab',
+        hasHeader: true,
+        dateFormat: 'MDY',
+        columns: ['date', 'time', 'exchange', 'structure', 'side', 'quantity', 'price'],
+        sideVocabulary: { buy: ['B', 'BUY'], sell: ['S', 'SELL'] }
+    },
+    {
+        id: 'cqg',
+        name: 'CQG Orders & Fills',
+        builtIn: true,
+        delimiter: 'comma',
+        hasHeader: true,
+        dateFormat: 'MDY',
+        columns: ['ignore', 'side', 'quantity', 'structure', 'price', 'datetime', 'exchange'],
+        sideVocabulary: { buy: ['BUY', 'B', 'BOT'], sell: ['SELL', 'S', 'SLD'] }
+    },
+    {
+        id: 'patsystems',
+        name: 'Patsystems',
+        builtIn: true,
+        delimiter: 'tab',
+        hasHeader: false,
+        dateFormat: 'DMY',
+        columns: ['date', 'time', 'exchange', 'structure', 'side', 'quantity', 'price'],
+        sideVocabulary: { buy: ['BOUGHT', 'BUY', 'B'], sell: ['SOLD', 'SELL', 'S'] }
+    },
+    {
+        id: 'generic-csv',
+        name: 'Generic CSV',
+        builtIn: true,
+        delimiter: 'comma',
+        hasHeader: true,
+        dateFormat: 'DMY',
+        columns: ['date', 'time', 'exchange', 'structure', 'side', 'quantity', 'price'],
+        sideVocabulary: DEFAULT_SIDE_VOCABULARY
+    }
+];
+
+// Profiles created by the user through the wizard (stored in localStorage)
+let customProfiles = [];
+
+/**
+ * Load custom import profiles from localStorage
+ */
+export function loadImportProfiles() {
+    try {
+        const saved = localStorage.getItem(PROFILES_KEY);
+        if (saved) {
+            customProfiles = JSON.parse(saved);
+        }
+    } catch (e) {
+        console.error('Failed to load import profiles:', e);
+    }
+}
+
+/**
+ * Save custom import profiles to localStorage
+ */
+export function saveImportProfiles() {
+    try {
+        localStorage.setItem(PROFILES_KEY, JSON.stringify(customProfiles));
+    } catch (e) {
+        console.error('Failed to save import profiles:', e);
+    }
+}
+
+/**
+ * Add (or replace) a custom import profile
+ * @returns {Object} The stored profile
+ */
+export function addImportProfile(profile) {
+    const stored = {
+        ...profile,
+        id: profile.id || `custom-${Date.now().toString(36)}`,
+        builtIn: false,
+        sideVocabulary: profile.sideVocabulary || DEFAULT_SIDE_VOCABULARY
+    };
+    customProfiles = [...customProfiles.filter(p => p.id !== stored.id), stored];
+    saveImportProfiles();
+    return stored;
+}
+
+/**
+ * Remove a custom import profile
+ */
+export function removeImportProfile(id) {
+    customProfiles = customProfiles.filter(p => p.id !== id);
+    saveImportProfiles();
+}
+
+/**
+ * Get all profiles, built-in first
+ */
+export function getImportProfiles() {
+    return [...BUILTIN_PROFILES, ...customProfiles];
+}
+
+/**
+ * Look up a profile by id (null when not found)
+ */
+export function getImportProfile(id) {
+    if (!id) return null;
+    return getImportProfiles().find(p => p.id === id) || null;
+}
+
+/**
+ * Split a CSV-style row on a single-character separator, honoring double quotes
+ */
+function splitQuoted(row, separator) {
+    const cells = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < row.length; i++) {
+        const char = row[i];
+        if (char === '"') {
+            if (inQuotes && row[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else {
+                inQuotes = !inQuotes;
+            }
+        } else if (char === separator && !inQuotes) {
+            cells.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    cells.push(current);
+
+    return cells;
+}
+
+/**
+ * Split a row into cells using a profile delimiter key
+ * Empty cells are kept so column positions stay aligned
+ */
+export function splitRow(row, delimiter = 'tab') {
+    const { separator } = DELIMITERS[delimiter] || DELIMITERS.tab;
+    const cells = separator instanceof RegExp
+        ? row.trim().split(separator)
+        : splitQuoted(row, separator);
+    return cells.map(c => c.trim());
+}
+
+/**
+ * Guess the delimiter of a pasted block from its first line
+ */
+export function detectDelimiter(line) {
+    if (line.includes('\t')) return 'tab';
+    const counts = {
+        comma: line.split(',').length - 1,
+        semicolon: line.split(';').length - 1,
+        pipe: line.split('|').length - 1
+    };
+    const [best, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    return count >= 3 ? best : 'spaces';
+}
+
+/**
+ * Resolve a side token using a profile's side vocabulary
+ * @returns {'BUY'|'SELL'|null}
+ */
+export function matchSide(value, sideVocabulary = DEFAULT_SIDE_VOCABULARY) {
+    if (!value) return null;
+    const token = value.trim().toUpperCase();
+    if ((sideVocabulary.buy || []).some(v => v.toUpperCase() === token)) return 'BUY';
+    if ((sideVocabulary.sell || []).some(v => v.toUpperCase() === token)) return 'SELL';
+    return null;
+}
+
+// Initialize custom profiles on load
+loadImportProfiles();
@@ -2,6 +2,8 @@
  * Generate performance insights for structures (focused on actionable metrics)
  */
 
+import { formatDateKey, getReportingTimeZone } from './timeZones';
+
 /**
  * Calculate Sharpe Ratio from trade returns
  * Sharpe = Average Return / Std Dev of Returns (using 0 as risk-free rate)
@@ -35,7 +37,7 @@ export function calculateSortinoRatio(returns) {
 /**
  * Calculate trading performance metrics
  */
-export function calculatePerformanceMetrics(structureData) {
+export function calculatePerformanceMetrics(structureData, timeZone = getReportingTimeZone()) {
     const {
         realizedPnLDollars,
         grossPnLDollars,
@@ -75,7 +77,7 @@ export function calculatePerformanceMetrics(structureData) {
 
         // Trading activity
         totalTrades: matches?.length || 0,
-        tradingDays: new Set(trades?.map(t => t.dateStr)).size || 0
+        tradingDays: new Set(trades?.map(t => formatDateKey(t.date, timeZone))).size || 0
     };
 
     return metrics;
@@ -104,6 +106,8 @@ export function rankStructures(structuresData) {
  */
 export function calculatePortfolioStats(allStructuresData) {
     const totalPnL = allStructuresData.reduce((sum, s) => sum + (s.realizedPnLDollars || 0), 0);
+    // Open lots valued at their structure's mark (0 for structures without one)
+    const totalUnrealized = allStructuresData.reduce((sum, s) => sum + (s.unrealizedPnLDollars || 0), 0);
     const totalGross = allStructuresData.reduce((sum, s) => sum + (s.grossPnLDollars || 0), 0);
     const totalRT = allStructuresData.reduce((sum, s) => sum + (s.totalRTCost || 0), 0);
     const totalTrades = allStructuresData.reduce((sum, s) => sum + (s.matches?.length || 0), 0);
@@ -136,6 +140,8 @@ export function calculatePortfolioStats(allStructuresData) {
 
     return {
         totalPnL,
+        totalUnrealized,
+        totalMarkedPnL: totalPnL + totalUnrealized,
         totalGross,
         totalRT,
         rtCostRatio: totalGross > 0 ? (totalRT / totalGross * 100) : 0,
@@ -154,26 +160,39 @@ export function calculatePortfolioStats(allStructuresData) {
 
 /**
  * Calculate daily trading summary  
+ * Days are cut at midnight in timeZone (the reporting zone by default)
  */
-export function calculateDailySummary(allStructuresData) {
+export function calculateDailySummary(allStructuresData, timeZone = getReportingTimeZone()) {
     const dailyMap = {};
+    const dayEntry = (dateKey) => {
+        if (!dailyMap[dateKey]) {
+            dailyMap[dateKey] = {
+                date: dateKey,
+                pnl: 0,
+                trades: 0,
+                volume: 0,
+                rtCost: 0
+            };
+        }
+        return dailyMap[dateKey];
+    };
 
     for (const structure of allStructuresData) {
-        for (const match of (structure.matches || [])) {
-            const dateKey = match.closeDate?.toISOString().split('T')[0] || 'unknown';
-            if (!dailyMap[dateKey]) {
-                dailyMap[dateKey] = {
-                    date: dateKey,
-                    pnl: 0,
-                    trades: 0,
-                    volume: 0,
-                    rtCost: 0
-                };
+        // Structures with settles count realized plus change in unrealized P&L (dailyMTM);
+        // the rest count realized P&L on the day a match closes
+        const markedToMarket = structure.dailyMTM?.length > 0;
+        if (markedToMarket) {
+            for (const day of structure.dailyMTM) {
+                dayEntry(day.date).pnl += day.pnl;
             }
-            dailyMap[dateKey].pnl += match.netPnLDollars || 0;
-            dailyMap[dateKey].trades++;
-            dailyMap[dateKey].volume += match.matchQty;
-            dailyMap[dateKey].rtCost += match.rtCost || 0;
+        }
+
+        for (const match of (structure.matches || [])) {
+            const day = dayEntry(formatDateKey(match.closeDate, timeZone));
+            if (!markedToMarket) day.pnl += match.netPnLDollars || 0;
+            day.trades++;
+            day.volume += match.matchQty;
+            day.rtCost += match.rtCost || 0;
         }
     }
 
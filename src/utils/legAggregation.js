@@ -0,0 +1,195 @@
+/**
+ * Leg Fill Aggregation
+ * Some sources export the outright leg fills of a spread instead of the spread itself.
+ * Leg fills of one order (same order ID, or close together in time) are checked against
+ * the leg ratios of each structure kind and rebuilt as one spread trade at the implied price;
+ * the leg fills stay on the spread trade (legFills) for audit
+ */
+
+import { parseStructure, buildStructureName, monthsBetween, STRUCTURE_KINDS } from './structureGrammar';
+import { getListingInterval } from './productRegistry';
+import { buildTrade, compareTrades } from './tradeParser';
+
+// Kinds a leg group can rebuild into; Butterfly has the same ratios as Fly, so only one is tried
+const SPREAD_KINDS = ['calendar', 'fly', 'dfly', 'condor', 'flyCondor'];
+
+// Widest spacing between legs that is tried (months)
+const MAX_SPACING = 12;
+
+export const DEFAULT_LEG_WINDOW_SECONDS = 2;
+
+/**
+ * Group outright leg fills into candidate orders
+ * Fills with an order ID group by it; the rest group when they follow each other within the window
+ */
+function groupLegFills(legs, windowSeconds) {
+    const byOrder = new Map();
+    const windowed = [];
+
+    for (const leg of legs) {
+        if (leg.trade.orderId) {
+            const key = [leg.model.instrument, leg.trade.account || '', leg.trade.orderId].join('|');
+            if (!byOrder.has(key)) byOrder.set(key, []);
+            byOrder.get(key).push(leg);
+        } else {
+            windowed.push(leg);
+        }
+    }
+
+    const groups = [...byOrder.values()];
+    const open = new Map();
+    for (const leg of [...windowed].sort((a, b) => compareTrades(a.trade, b.trade))) {
+        const key = [leg.model.instrument, leg.trade.account || ''].join('|');
+        const current = open.get(key);
+        if (current && leg.trade.timestamp - current[0].trade.timestamp <= windowSeconds * 1000) {
+            current.push(leg);
+        } else {
+            const group = [leg];
+            groups.push(group);
+            open.set(key, group);
+        }
+    }
+
+    return groups;
+}
+
+/**
+ * Net signed quantity and VWAP per contract of a leg group (null when a contract is both bought and sold)
+ */
+function summarizeContracts(group) {
+    const contracts = new Map();
+    for (const { trade, model } of group) {
+        const contract = model.anchor;
+        const entry = contracts.get(contract.label) || { contract, side: trade.side, quantity: 0, notional: 0 };
+        if (entry.side !== trade.side) return null;
+        entry.quantity += trade.quantity;
+        entry.notional += trade.quantity * trade.price;
+        contracts.set(contract.label, entry);
+    }
+    return [...contracts.values()]
+        .map(entry => ({
+            contract: entry.contract,
+            net: entry.side === 'BUY' ? entry.quantity : -entry.quantity,
+            price: entry.notional / entry.quantity
+        }))
+        .sort((a, b) => monthsBetween(b.contract, a.contract));
+}
+
+/**
+ * Find the structure kind and spacing whose leg ratios the contracts are a multiple of
+ * @returns {{ kind: string, span: number, lots: number, price: number }|null} lots is negative for a sold spread
+ */
+function matchLegRatios(contracts) {
+    const anchor = contracts[0].contract;
+    const offsets = contracts.map(c => monthsBetween(anchor, c.contract));
+
+    for (const kind of SPREAD_KINDS) {
+        const ratios = STRUCTURE_KINDS[kind].ratios;
+        for (let span = 1; span <= MAX_SPACING; span++) {
+            const legs = ratios
+                .map((ratio, idx) => ({ offset: idx * span, ratio }))
+                .filter(leg => leg.ratio !== 0);
+            if (legs.length !== contracts.length) continue;
+            if (!legs.every((leg, idx) => leg.offset === offsets[idx])) continue;
+
+            const lots = contracts[0].net / legs[0].ratio;
+            if (!Number.isInteger(lots) || lots === 0) continue;
+            if (!legs.every((leg, idx) => contracts[idx].net === lots * leg.ratio)) continue;
+
+            // Spread price is the ratio-weighted sum of leg prices (front minus back for a calendar)
+            const price = legs.reduce((sum, leg, idx) => sum + leg.ratio * contracts[idx].price, 0);
+            return { kind, span, lots, price: Math.round(price * 1e6) / 1e6 };
+        }
+    }
+    return null;
+}
+
+/**
+ * Name for a rebuilt spread: an existing structure with the same legs, or a built one
+ */
+function spreadName(instrument, product, anchor, match, knownByLegs) {
+    const interval = product ? getListingInterval(product) : 3;
+    const spacing = match.kind === 'calendar' || match.span !== interval ? String(match.span) : '';
+    const name = buildStructureName(instrument, match.kind, anchor, spacing);
+    return knownByLegs.get(legsSignature(parseStructure(name))) || name;
+}
+
+/**
+ * Key that is equal for structure names with the same instrument and legs
+ */
+function legsSignature(model) {
+    return [model.instrument, ...model.legs.map(leg => `${leg.ratio}${leg.contract.label}`)].join('|');
+}
+
+/**
+ * Rebuild spread trades from outright leg fills
+ * @param {Array} trades - Parsed trades
+ * @param {Object} [options]
+ * @param {number} [options.windowSeconds] - Fills without an order ID group when within this many seconds
+ * @param {Array<string>} [options.knownStructures] - Names preferred for a rebuilt spread with the same legs
+ * @returns {{ trades: Array, spreads: number, legsUsed: number, unmatched: Array<Array> }}
+ *   unmatched lists the leg groups that fit no structure (their fills are kept as outrights)
+ */
+export function aggregateLegFills(trades, options = {}) {
+    const { windowSeconds = DEFAULT_LEG_WINDOW_SECONDS, knownStructures = [] } = options;
+
+    const knownByLegs = new Map();
+    for (const name of knownStructures) {
+        const model = parseStructure(name);
+        if (model && model.kind !== 'outright') {
+            const key = legsSignature(model);
+            if (!knownByLegs.has(key)) knownByLegs.set(key, name);
+        }
+    }
+
+    const legs = [];
+    const others = [];
+    for (const trade of trades) {
+        const model = parseStructure(trade.structure);
+        if (model?.kind === 'outright' && model.knownInstrument) {
+            legs.push({ trade, model });
+        } else {
+            others.push(trade);
+        }
+    }
+
+    const result = [...others];
+    const unmatched = [];
+    let spreads = 0;
+    let legsUsed = 0;
+
+    for (const group of groupLegFills(legs, windowSeconds)) {
+        const fills = group.map(leg => leg.trade).sort(compareTrades);
+        const contracts = group.length > 1 ? summarizeContracts(group) : null;
+        const match = contracts && contracts.length > 1 ? matchLegRatios(contracts) : null;
+        if (!match) {
+            if (contracts && contracts.length > 1) unmatched.push(fills);
+            result.push(...fills);
+            continue;
+        }
+
+        const { instrument, product } = group[0].model;
+        const first = fills[0];
+
+        const spread = buildTrade({
+            date: first.date,
+            time: first.time,
+            exchange: first.exchange,
+            timeZone: first.timeZone,
+            sequence: first.sequence,
+            source: first.source,
+            structure: spreadName(instrument, product, contracts[0].contract, match, knownByLegs),
+            side: match.lots > 0 ? 'BUY' : 'SELL',
+            quantity: Math.abs(match.lots),
+            price: match.price,
+            orderId: first.orderId,
+            account: first.account,
+            trader: first.trader
+        });
+        result.push({ ...spread, legFills: fills });
+        spreads++;
+        legsUsed += fills.length;
+    }
+
+    return { trades: result.sort(compareTrades), spreads, legsUsed, unmatched };
+}
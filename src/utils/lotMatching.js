@@ -0,0 +1,114 @@
+/**
+ * Lot Matching Preferences
+ * Which matching method and order the book uses, per-structure method overrides, and the
+ * lots chosen for exits under specific-lot matching
+ */
+
+import { MATCHING_METHODS, MATCHING_ORDERS } from './fifoCalculator';
+
+const LOT_MATCHING_KEY = 'tradeLogger_lotMatching';
+
+let lotMatching = {
+    bookMethod: 'FIFO',
+    // Entry order or execution time (MATCHING_ORDERS), for the whole book
+    matchingOrder: 'ENTRY',
+    // Structure name -> method
+    structureMethods: {},
+    // Closing trade ID -> open lot trade IDs, in the order they are closed
+    lotSelections: {}
+};
+
+/**
+ * Load lot matching preferences from localStorage
+ */
+export function loadLotMatching() {
+    try {
+        const saved = localStorage.getItem(LOT_MATCHING_KEY);
+        if (saved) {
+            lotMatching = { ...lotMatching, ...JSON.parse(saved) };
+        }
+    } catch (e) {
+        console.error('Failed to load lot matching:', e);
+    }
+}
+
+/**
+ * Save lot matching preferences to localStorage
+ */
+export function saveLotMatching() {
+    try {
+        localStorage.setItem(LOT_MATCHING_KEY, JSON.stringify(lotMatching));
+    } catch (e) {
+        console.error('Failed to save lot matching:', e);
+    }
+}
+
+/**
+ * Get the current preferences (a copy)
+ */
+export function getLotMatching() {
+    return {
+        bookMethod: lotMatching.bookMethod,
+        matchingOrder: lotMatching.matchingOrder,
+        structureMethods: { ...lotMatching.structureMethods },
+        lotSelections: { ...lotMatching.lotSelections }
+    };
+}
+
+/**
+ * Set the method the whole book uses unless a structure overrides it
+ */
+export function setBookMatchingMethod(method) {
+    if (!MATCHING_METHODS[method]) throw new Error(`Unknown matching method "${method}"`);
+    lotMatching = { ...lotMatching, bookMethod: method };
+    saveLotMatching();
+}
+
+/**
+ * Set whether the book matches trades in entry order or by execution time
+ */
+export function setMatchingOrder(order) {
+    if (!MATCHING_ORDERS[order]) throw new Error(`Unknown matching order "${order}"`);
+    lotMatching = { ...lotMatching, matchingOrder: order };
+    saveLotMatching();
+}
+
+/**
+ * Override the method for one structure (null returns it to the book's method)
+ */
+export function setStructureMatchingMethod(structureName, method) {
+    if (method && !MATCHING_METHODS[method]) throw new Error(`Unknown matching method "${method}"`);
+    const structureMethods = { ...lotMatching.structureMethods };
+    if (method) {
+        structureMethods[structureName] = method;
+    } else {
+        delete structureMethods[structureName];
+    }
+    lotMatching = { ...lotMatching, structureMethods };
+    saveLotMatching();
+}
+
+/**
+ * Method a structure is matched with
+ * @param {Object} [preferences] - Preferences to read (the saved ones by default)
+ */
+export function getMatchingMethod(structureName, preferences = lotMatching) {
+    return preferences.structureMethods[structureName] || preferences.bookMethod;
+}
+
+/**
+ * Choose the open lots an exit closes (an empty list returns it to FIFO order)
+ */
+export function setLotSelection(closeTradeId, openTradeIds) {
+    const lotSelections = { ...lotMatching.lotSelections };
+    if (openTradeIds?.length) {
+        lotSelections[closeTradeId] = openTradeIds;
+    } else {
+        delete lotSelections[closeTradeId];
+    }
+    lotMatching = { ...lotMatching, lotSelections };
+    saveLotMatching();
+}
+
+// Initialize lot matching preferences on load
+loadLotMatching();
@@ -0,0 +1,97 @@
+/**
+ * Mark Prices
+ * Latest mark per structure ({ price, timestamp }), used to value open lots
+ * Structure names are resolved like trade structures, so marks key the same groups
+ */
+
+import { resolveStructureName } from './tradeParser';
+
+const MARKS_KEY = 'tradeLogger_markPrices';
+
+// Structure name -> { price, timestamp }
+let markPrices = {};
+
+/**
+ * Load mark prices from localStorage
+ */
+export function loadMarkPrices() {
+    try {
+        const saved = localStorage.getItem(MARKS_KEY);
+        if (saved) {
+            markPrices = JSON.parse(saved);
+        }
+    } catch (e) {
+        console.error('Failed to load mark prices:', e);
+    }
+}
+
+/**
+ * Save mark prices to localStorage
+ */
+export function saveMarkPrices() {
+    try {
+        localStorage.setItem(MARKS_KEY, JSON.stringify(markPrices));
+    } catch (e) {
+        console.error('Failed to save mark prices:', e);
+    }
+}
+
+/**
+ * Set the mark for a structure
+ * @param {number} [timestamp] - When the mark was taken (now by default)
+ * @throws {Error} When the structure is empty or the price is not a number
+ */
+export function setMarkPrice(structure, price, timestamp = Date.now()) {
+    const name = resolveStructureName(structure);
+    const value = typeof price === 'number' ? price : parseFloat(String(price).replace(/,/g, ''));
+    if (!name) throw new Error('Structure is required');
+    if (isNaN(value)) throw new Error(`Mark price "${price}" is not a number`);
+
+    markPrices = { ...markPrices, [name]: { price: value, timestamp } };
+    saveMarkPrices();
+    return name;
+}
+
+/**
+ * Remove the mark for a structure
+ */
+export function removeMarkPrice(structure) {
+    const { [structure]: _removed, ...rest } = markPrices;
+    markPrices = rest;
+    saveMarkPrices();
+}
+
+/**
+ * Get all marks (structure name -> { price, timestamp })
+ */
+export function getMarkPrices() {
+    return { ...markPrices };
+}
+
+/**
+ * Import marks from pasted lines: structure, price[, date/time]
+ * Cells are tab- or comma-separated; lines without a timestamp are marked now
+ * @returns {{ imported: number, errors: Array<{ line: number, content: string, reason: string }> }}
+ */
+export function importMarkPrices(text) {
+    const errors = [];
+    let imported = 0;
+
+    String(text || '').split('\n').forEach((content, idx) => {
+        if (!content.trim()) return;
+        const [structure, price, when] = content.split(/\t|,/).map(cell => cell.trim());
+        const timestamp = when ? new Date(when).getTime() : Date.now();
+        try {
+            if (isNaN(timestamp)) throw new Error(`Timestamp "${when}" could not be read`);
+            setMarkPrice(structure, price ?? '', timestamp);
+            imported++;
+        } catch (e) {
+            errors.push({ line: idx + 1, content, reason: e.message });
+        }
+    });
+
+    return { imported, errors };
+}
+
+// Initialize mark prices on load
+loadMarkPrices();
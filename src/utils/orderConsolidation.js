@@ -0,0 +1,81 @@
+/**
+ * Order Consolidation
+ * Partial fills of one order (same order ID, or same structure, side and price within a few
+ * seconds) are combined into a parent order at the VWAP price, so an order that filled in clips
+ * counts once in matching and statistics. The child fills stay on the parent (fills)
+ */
+
+export const DEFAULT_ORDER_WINDOW_SECONDS = 5;
+
+// Fill grouping used when nothing is saved: statistics per fill
+export const DEFAULT_FILL_GROUPING = { mode: 'fill', windowSeconds: DEFAULT_ORDER_WINDOW_SECONDS };
+
+/**
+ * Combine a group of fills into a parent order
+ */
+function buildParentOrder(fills) {
+    const [first] = fills;
+    const quantity = fills.reduce((sum, fill) => sum + fill.quantity, 0);
+    const notional = fills.reduce((sum, fill) => sum + fill.quantity * fill.price, 0);
+
+    return {
+        ...first,
+        id: `order-${first.id}`,
+        quantity,
+        price: Math.round((notional / quantity) * 1e6) / 1e6,
+        // Exec IDs belong to the individual fills
+        execId: null,
+        fills
+    };
+}
+
+/**
+ * Consolidate partial fills into parent orders
+ * Parents take the place of their first fill, so entry order (and FIFO matching) is kept
+ * @param {Array} trades - Fills in entry order
+ * @param {Object} [options]
+ * @param {number} [options.windowSeconds] - Fills without an order ID join an order when filled
+ *   within this many seconds of its previous fill at the same price
+ * @returns {Array} Trades with each multi-fill order replaced by its parent
+ */
+export function consolidateFills(trades, options = {}) {
+    const { windowSeconds = DEFAULT_ORDER_WINDOW_SECONDS } = options;
+
+    const groups = [];
+    const byOrderId = new Map();
+    // Open time-window groups by structure|side|price|account
+    const open = new Map();
+
+    for (const trade of trades) {
+        if (trade.orderId) {
+            const key = [trade.structure, trade.side, trade.account || '', trade.orderId].join('|');
+            const group = byOrderId.get(key);
+            if (group) {
+                group.push(trade);
+            } else {
+                const created = [trade];
+                byOrderId.set(key, created);
+                groups.push(created);
+            }
+            continue;
+        }
+
+        // A fill on the other side of the structure ends its open orders
+        for (const [key, group] of open) {
+            if (group[0].structure === trade.structure && group[0].side !== trade.side) open.delete(key);
+        }
+
+        const key = [trade.structure, trade.side, trade.price, trade.account || ''].join('|');
+        const group = open.get(key);
+        const last = group?.[group.length - 1];
+        if (last && Math.abs(trade.timestamp - last.timestamp) <= windowSeconds * 1000) {
+            group.push(trade);
+        } else {
+            const created = [trade];
+            open.set(key, created);
+            groups.push(created);
+        }
+    }
+
+    return groups.map(group => (group.length > 1 ? buildParentOrder(group) : group[0]));
+}
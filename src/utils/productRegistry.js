@@ -0,0 +1,208 @@
+/**
+ * Product Registry
+ * Futures families the structure grammar recognizes, with their contract specs
+ * tickSize is in price points; tickValue is per lot per tick in the product's currency
+ * quotedAs is 'rate' for futures priced 100 minus a rate (0.01 in price is 1bp) and 'price' for bond futures
+ * expiry gives the last trading day of a contract (see EXPIRY_RULES)
+ */
+
+const QUARTERLY = [3, 6, 9, 12];
+const MONTHLY = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+
+// Three-month rate futures: the reference quarter starts on the contract month's IMM date,
+// trading ends the business day before the IMM date three months later
+const REFERENCE_QUARTER = { rule: 'imm', monthsAfter: 3, businessDaysBefore: 1 };
+
+/**
+ * Known products
+ * aliases are other names brokers use for the symbol (single words, matched case-insensitively)
+ */
+export const PRODUCTS = [
+    {
+        symbol: 'SO3',
+        name: 'Three Month SONIA',
+        exchange: 'ICE_L',
+        aliases: ['SONIA3M'],
+        listedMonths: QUARTERLY,
+        tickSize: 0.005,
+        tickValue: 12.5,
+        currency: 'GBP',
+        quotedAs: 'rate',
+        expiry: REFERENCE_QUARTER
+    },
+    {
+        symbol: 'SON',
+        name: 'SONIA',
+        exchange: 'ICE_L',
+        aliases: ['SONIA'],
+        listedMonths: QUARTERLY,
+        tickSize: 0.005,
+        tickValue: 12.5,
+        currency: 'GBP',
+        quotedAs: 'rate',
+        expiry: REFERENCE_QUARTER
+    },
+    {
+        symbol: 'SA3',
+        name: 'Three Month SARON',
+        exchange: 'ICE_L',
+        aliases: ['SARON'],
+        listedMonths: QUARTERLY,
+        tickSize: 0.005,
+        tickValue: 12.5,
+        currency: 'CHF',
+        quotedAs: 'rate',
+        expiry: REFERENCE_QUARTER
+    },
+    {
+        symbol: 'ER3',
+        name: 'Three Month €STR',
+        exchange: 'ICE_L',
+        aliases: ['ESTR'],
+        listedMonths: QUARTERLY,
+        tickSize: 0.005,
+        tickValue: 12.5,
+        currency: 'EUR',
+        quotedAs: 'rate',
+        expiry: REFERENCE_QUARTER
+    },
+    {
+        symbol: 'I',
+        name: 'Three Month Euribor',
+        exchange: 'ICE_L',
+        aliases: ['EURIBOR', 'ER'],
+        listedMonths: QUARTERLY,
+        tickSize: 0.005,
+        tickValue: 12.5,
+        currency: 'EUR',
+        quotedAs: 'rate',
+        expiry: { rule: 'imm', monthsAfter: 0, businessDaysBefore: 2 }
+    },
+    {
+        symbol: 'SR3',
+        name: 'Three-Month SOFR',
+        exchange: 'CME',
+        aliases: ['SOFR', 'SOFR3M'],
+        listedMonths: QUARTERLY,
+        tickSize: 0.005,
+        tickValue: 12.5,
+        currency: 'USD',
+        quotedAs: 'rate',
+        expiry: REFERENCE_QUARTER
+    },
+    {
+        symbol: 'ZQ',
+        name: '30 Day Federal Funds',
+        exchange: 'CBOT',
+        aliases: ['FF', 'FEDFUNDS'],
+        listedMonths: MONTHLY,
+        tickSize: 0.005,
+        tickValue: 20.835,
+        currency: 'USD',
+        quotedAs: 'rate',
+        expiry: { rule: 'monthEnd', businessDaysBefore: 0 }
+    },
+    {
+        symbol: 'FGBL',
+        name: 'Euro-Bund',
+        exchange: 'EUREX',
+        aliases: ['BUND', 'RX'],
+        listedMonths: QUARTERLY,
+        tickSize: 0.01,
+        tickValue: 10,
+        currency: 'EUR',
+        quotedAs: 'price',
+        expiry: { rule: 'dayOfMonth', day: 10, businessDaysBefore: 2 }
+    },
+    {
+        symbol: 'G',
+        name: 'Long Gilt',
+        exchange: 'ICE_L',
+        aliases: ['GILT'],
+        listedMonths: QUARTERLY,
+        tickSize: 0.01,
+        tickValue: 10,
+        currency: 'GBP',
+        quotedAs: 'price',
+        expiry: { rule: 'monthEnd', businessDaysBefore: 2 }
+    }
+];
+
+// Symbol and alias (uppercase) -> product
+const productIndex = new Map();
+for (const product of PRODUCTS) {
+    for (const key of [product.symbol, ...product.aliases]) {
+        productIndex.set(key.toUpperCase(), product);
+    }
+}
+
+/**
+ * Look up a product by symbol or alias (null when unknown)
+ */
+export function getProduct(symbolOrAlias) {
+    if (!symbolOrAlias) return null;
+    return productIndex.get(String(symbolOrAlias).trim().toUpperCase()) || null;
+}
+
+/**
+ * Months between consecutive listed contracts (3 for quarterly products, 1 for monthly)
+ */
+export function getListingInterval(product) {
+    const months = product.listedMonths;
+    if (months.length < 2) return 12;
+    return Math.min(...months.slice(1).map((m, idx) => m - months[idx]));
+}
+
+/**
+ * Check whether a contract month is listed for a product
+ * @param {number} month - 1-12
+ */
+export function isListedMonth(product, month) {
+    return product.listedMonths.includes(month);
+}
+
+/**
+ * Expiry rules: the rule gives a day in the contract month (or monthsAfter it), and trading ends
+ * businessDaysBefore business days earlier
+ * - imm: third Wednesday of the month
+ * - monthEnd: last business day of the month
+ * - dayOfMonth: the given day, or the next business day
+ * Business days are Monday to Friday; exchange holidays are not modeled
+ */
+const EXPIRY_RULES = {
+    imm: (year, month) => {
+        const firstDay = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+        return new Date(Date.UTC(year, month - 1, 1 + ((3 - firstDay + 7) % 7) + 14));
+    },
+    monthEnd: (year, month) => rollBusinessDay(new Date(Date.UTC(year, month, 0)), -1),
+    dayOfMonth: (year, month, { day }) => rollBusinessDay(new Date(Date.UTC(year, month - 1, day)), 1)
+};
+
+const isBusinessDay = (date) => date.getUTCDay() !== 0 && date.getUTCDay() !== 6;
+
+/**
+ * Move a date in steps of one day (direction 1 or -1) until it is a business day
+ */
+function rollBusinessDay(date, direction) {
+    const result = new Date(date);
+    while (!isBusinessDay(result)) result.setUTCDate(result.getUTCDate() + direction);
+    return result;
+}
+
+/**
+ * Last trading day of a contract
+ * @param {Object} contract - { month, year }
+ * @returns {string|null} "YYYY-MM-DD", or null when the product has no expiry rule
+ */
+export function getContractExpiry(product, contract) {
+    if (!product?.expiry) return null;
+    const { rule, monthsAfter = 0, businessDaysBefore = 0 } = product.expiry;
+
+    const index = contract.year * 12 + (contract.month - 1) + monthsAfter;
+    const date = EXPIRY_RULES[rule](Math.floor(index / 12), (index % 12) + 1, product.expiry);
+    for (let remaining = businessDaysBefore; remaining > 0;) {
+        date.setUTCDate(date.getUTCDate() - 1);
+        if (isBusinessDay(date)) remaining--;
+    }
+    return date.toISOString().slice(0, 10);
+}
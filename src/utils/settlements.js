@@ -0,0 +1,133 @@
+/**
+ * Settlement Prices
+ * End-of-day settles per structure or outright contract, by trading date (YYYY-MM-DD)
+ * A structure without its own settle is settled from its legs' contract settles
+ */
+
+import { parseStructure } from './structureGrammar';
+import { parseDate, resolveStructureName } from './tradeParser';
+
+const SETTLEMENTS_KEY = 'tradeLogger_settlements';
+
+// Structure or contract name -> { date: settle }
+let settlements = {};
+
+/**
+ * Load settlement prices from localStorage
+ */
+export function loadSettlements() {
+    try {
+        const saved = localStorage.getItem(SETTLEMENTS_KEY);
+        if (saved) {
+            settlements = JSON.parse(saved);
+        }
+    } catch (e) {
+        console.error('Failed to load settlements:', e);
+    }
+}
+
+/**
+ * Save settlement prices to localStorage
+ */
+export function saveSettlements() {
+    try {
+        localStorage.setItem(SETTLEMENTS_KEY, JSON.stringify(settlements));
+    } catch (e) {
+        console.error('Failed to save settlements:', e);
+    }
+}
+
+/**
+ * Date key (YYYY-MM-DD) of a parsed calendar date
+ */
+function toDateKey(date) {
+    return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0')
+    ].join('-');
+}
+
+/**
+ * Import a settlement file: one line per settle as structure or contract, date, settle
+ * Cells are tab- or comma-separated; a first line without digits is a header and skipped
+ * @param {string} dateOrder - Order of all-numeric dates ('auto', 'DMY', 'MDY' or 'YMD')
+ * @returns {{ imported: number, errors: Array<{ line: number, content: string, reason: string }> }}
+ */
+export function importSettlements(text, dateOrder = 'auto') {
+    const lines = String(text || '').split('\n');
+    const errors = [];
+    const next = { ...settlements };
+    let imported = 0;
+
+    lines.forEach((content, idx) => {
+        if (!content.trim() || (idx === 0 && !/\d/.test(content))) return;
+        const [structure, dateCell, settleCell] = content.split(/\t|,/).map(cell => cell.trim());
+
+        const name = resolveStructureName(structure || '');
+        const date = parseDate(dateCell || '', dateOrder);
+        const settle = parseFloat(String(settleCell ?? '').replace(/,/g, ''));
+        const reason = !name ? 'No structure or contract'
+            : !date ? `Date "${dateCell || ''}" could not be read`
+                : isNaN(settle) ? `Settle "${settleCell || ''}" is not a number`
+                    : null;
+        if (reason) {
+            errors.push({ line: idx + 1, content, reason });
+            return;
+        }
+
+        next[name] = { ...next[name], [toDateKey(date)]: settle };
+        imported++;
+    });
+
+    settlements = next;
+    saveSettlements();
+    return { imported, errors };
+}
+
+/**
+ * Remove all settlement prices
+ */
+export function clearSettlements() {
+    settlements = {};
+    saveSettlements();
+}
+
+/**
+ * Summary of stored settles: how many names and dates, and the date range
+ */
+export function getSettlementsSummary() {
+    const dates = [...new Set(Object.values(settlements).flatMap(byDate => Object.keys(byDate)))].sort();
+    return {
+        names: Object.keys(settlements).length,
+        dates: dates.length,
+        firstDate: dates[0] || null,
+        lastDate: dates[dates.length - 1] || null
+    };
+}
+
+/**
+ * Settles of one structure by date
+ * Dates without a settle of the structure itself use its legs' contract settles
+ * (ratio-weighted sum) when every leg has one
+ * @returns {Object} date -> settle
+ */
+export function getStructureSettlements(structureName) {
+    const own = settlements[structureName] || {};
+    const model = parseStructure(structureName);
+    if (!model || model.kind === 'outright') return { ...own };
+
+    const legSettles = model.legs.map(leg => settlements[`${model.instrument} ${leg.contract.label}`] || {});
+    const fromLegs = {};
+    for (const date of Object.keys(legSettles[0])) {
+        if (legSettles.every(byDate => byDate[date] !== undefined)) {
+            const settle = model.legs.reduce((sum, leg, idx) => sum + leg.ratio * legSettles[idx][date], 0);
+            fromLegs[date] = Math.round(settle * 1e6) / 1e6;
+        }
+    }
+
+    return { ...fromLegs, ...own };
+}
+
+// Initialize settlement prices on load
+loadSettlements();
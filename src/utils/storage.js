@@ -37,10 +37,21 @@ export function loadTrades() {
         if (!data) return [];
 
         const parsed = JSON.parse(data);
+        // ISO dates keep milliseconds; sequence orders fills within the same millisecond
         return parsed.map(t => ({
             ...t,
             date: new Date(t.date),
-            timestamp: new Date(t.date).getTime()
+            timestamp: new Date(t.date).getTime(),
+            sequence: t.sequence || 0,
+            // Exchange/OMS references are optional; older saves have none
+            execId: t.execId || null,
+            orderId: t.orderId || null,
+            account: t.account || null,
+            trader: t.trader || null,
+            // Spreads rebuilt from outright legs keep their leg fills
+            ...(t.legFills && {
+                legFills: t.legFills.map(leg => ({ ...leg, date: new Date(leg.date), timestamp: new Date(leg.date).getTime() }))
+            })
         }));
     } catch (error) {
         console.error('Failed to load trades:', error);
@@ -82,6 +93,22 @@ export function exportTrades(trades) {
  * Export trades as CSV with proper escaping
  */
 export function exportTradesCSV(trades) {
+    const blob = new Blob([tradesToCSV(trades)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `trades_export_${new Date().toISOString().split('T')[0]}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Trades as CSV in the columns the importer reads back
+ */
+export function tradesToCSV(trades) {
     // Helper to escape CSV fields with commas, quotes, or newlines
     const escapeCSV = (value) => {
         const str = String(value);
@@ -91,28 +118,23 @@ export function exportTradesCSV(trades) {
         return str;
     };
 
-    const headers = ['Date', 'Time', 'Exchange', 'Structure', 'Side', 'Quantity', 'Price'];
+    const headers = ['Date', 'Time', 'Exchange', 'Structure', 'Side', 'Quantity', 'Price', 'Exec ID', 'Order ID', 'Account', 'Trader'];
     const rows = trades.map(t => [
-        t.date.toISOString().split('T')[0],
+        // The date in the exchange's zone, matching the wall-clock Time (legacy trades have a UTC date)
+        t.dateStr || t.date.toISOString().split('T')[0],
         escapeCSV(t.time),
         escapeCSV(t.exchange),
         escapeCSV(t.structure),
         t.side,
         t.quantity,
-        t.price
+        t.price,
+        t.execId || '',
+        t.orderId || '',
+        t.account || '',
+        t.trader || ''
     ]);
 
-    const csv = [headers.join(','), ...rows.map(r => r.map(v => escapeCSV(v)).join(','))].join('\n');
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `trades_export_${new Date().toISOString().split('T')[0]}.csv`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    return [headers.join(','), ...rows.map(r => r.map(v => escapeCSV(v)).join(','))].join('\n');
 }
 
 /**
@@ -0,0 +1,127 @@
+/**
+ * Structure Aliases
+ * User rules that map broker spellings to a canonical structure ("SON U6 DF" -> "SON Sep26 D-Fly")
+ * Applied to raw structure names before the grammar normalizes them
+ */
+
+const ALIASES_KEY = 'tradeLogger_structureAliases';
+
+// Rules in the order they were added (first match wins)
+let aliasRules = [];
+
+/**
+ * Load alias rules from localStorage
+ */
+export function loadStructureAliases() {
+    try {
+        const saved = localStorage.getItem(ALIASES_KEY);
+        if (saved) {
+            aliasRules = JSON.parse(saved);
+        }
+    } catch (e) {
+        console.error('Failed to load structure aliases:', e);
+    }
+}
+
+/**
+ * Save alias rules to localStorage
+ */
+export function saveStructureAliases() {
+    try {
+        localStorage.setItem(ALIASES_KEY, JSON.stringify(aliasRules));
+    } catch (e) {
+        console.error('Failed to save structure aliases:', e);
+    }
+}
+
+/**
+ * Compile a regex rule's pattern (case-insensitive)
+ * @throws {SyntaxError} When the pattern is not a valid regular expression
+ */
+function compileRule(rule) {
+    return new RegExp(rule.pattern, 'i');
+}
+
+/**
+ * Collapse whitespace and case so exact rules ignore spacing differences
+ */
+function exactKey(value) {
+    return String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Add an alias rule
+ * @param {Object} rule - { pattern, isRegex, structure }; regex rules replace the matched text
+ *   with structure, which may use $1-style groups
+ * @returns {Object} The stored rule
+ * @throws {Error} When the pattern or structure is empty, or the regex does not compile
+ */
+export function addStructureAlias({ pattern, isRegex = false, structure }) {
+    if (!pattern?.trim() || !structure?.trim()) {
+        throw new Error('Alias pattern and structure are required');
+    }
+
+    const rule = {
+        id: `alias-${Date.now().toString(36)}`,
+        pattern: isRegex ? pattern : pattern.trim(),
+        isRegex,
+        structure: structure.trim()
+    };
+    // A pattern that doesn't compile throws here rather than failing silently at parse time
+    if (isRegex) compileRule(rule);
+
+    aliasRules = [...aliasRules, rule];
+    saveStructureAliases();
+    return rule;
+}
+
+/**
+ * Remove an alias rule
+ */
+export function removeStructureAlias(id) {
+    aliasRules = aliasRules.filter(r => r.id !== id);
+    saveStructureAliases();
+}
+
+/**
+ * Get all alias rules in match order
+ */
+export function getStructureAliases() {
+    return [...aliasRules];
+}
+
+/**
+ * Fill $1..$9 (capture groups) and $& (the matched text) into a regex rule's structure
+ */
+function expandGroups(structure, match) {
+    return structure.replace(/\$(\d|&)/g, (_, group) => (group === '&' ? match[0] : match[group] ?? ''));
+}
+
+/**
+ * Map a raw structure name through the first matching rule
+ * @param {Array} [rules] - Rules to apply (the saved rules by default)
+ * @returns {string} The rule's structure (with regex groups filled in), or the name unchanged when no rule matches
+ */
+export function applyStructureAliases(name, rules = aliasRules) {
+    if (!name) return name;
+    const trimmed = name.trim();
+
+    for (const rule of rules) {
+        if (!rule.isRegex) {
+            if (exactKey(rule.pattern) === exactKey(trimmed)) return rule.structure;
+            continue;
+        }
+        try {
+            // The rule's structure is the whole name, not a replacement for the matched text
+            const match = trimmed.match(compileRule(rule));
+            if (match) return expandGroups(rule.structure, match);
+        } catch {
+            // Rules are validated when added; skip one that no longer compiles
+        }
+    }
+
+    return name;
+}
+
+// Initialize alias rules on load
+loadStructureAliases();
@@ -8,6 +8,8 @@
  * - Total per round-trip: rtLegs × 2 × quantity × $1.65
  */
 
+import { parseStructure, calendarSpanLabel, structureRTLegs } from './structureGrammar';
+
 // Trading constants configuration object (mutable via updateTradingConstants)
 const tradingConfig = {
     TICK_VALUE: 16.5,    // $16.5 per tick
@@ -192,32 +194,16 @@ export function getCustomStructures() {
 }
 
 /**
- * Calculate calendar span in months from tenor names
+ * Calendar span bucket ('3mo', '6mo', ...) of a calendar structure name (null for other structures)
  */
 export function getCalendarSpan(structureName) {
-    const months = ['Mar', 'Jun', 'Sep', 'Dec'];
-    const tenorMatch = structureName.match(/(Mar|Jun|Sep|Dec)(\d{2})-(Mar|Jun|Sep|Dec)(\d{2})/);
-
-    if (!tenorMatch) return null;
-
-    const [, frontMonth, frontYear, backMonth, backYear] = tenorMatch;
-    const frontIdx = months.indexOf(frontMonth);
-    const backIdx = months.indexOf(backMonth);
-    const yearDiff = parseInt(backYear) - parseInt(frontYear);
-
-    let quarterDiff = backIdx - frontIdx + (yearDiff * 4);
-    if (quarterDiff < 0) quarterDiff += 4;
-
-    const monthDiff = quarterDiff * 3;
-
-    if (monthDiff <= 3) return '3mo';
-    if (monthDiff <= 6) return '6mo';
-    if (monthDiff <= 9) return '9mo';
-    return '12mo';
+    const model = parseStructure(structureName);
+    return model?.kind === 'calendar' ? calendarSpanLabel(model.span) : null;
 }
 
 /**
- * Get RT legs for a structure (with fuzzy matching for variations)
+ * Get RT legs for a structure
+ * Custom and listed structures first, then the leg model of names on a registry product
  */
 export function getStructureRTLegs(structureName) {
     // Check custom structures first
@@ -246,14 +232,9 @@ export function getStructureRTLegs(structureName) {
         }
     }
 
-    // Pattern-based matching for unknown structures (order matters!)
-    if (normalized.includes('fly condor')) return 3;
-    if (normalized.includes('3 d-fly') || normalized.includes('3 d fly')) return 4;
-    if (normalized.includes('d-fly') || normalized.includes('d fly')) return 4;
-    if (normalized.includes('3 fly')) return 2;
-    if (normalized.includes('3mo butterfly') || normalized.includes('butterfly')) return 2;
-    if (normalized.includes('3mo condor') || normalized.includes('condor')) return 2;
-    if (normalized.includes('calendar')) return 1;
+    // Registry products: half a round-trip per outright lot in the structure's legs
+    const model = parseStructure(structureName);
+    if (model?.product) return structureRTLegs(model);
 
     // Default to 1 RT if unknown
     console.warn(`Unknown structure RT for: ${structureName}, defaulting to 1`);
@@ -0,0 +1,264 @@
+/**
+ * Structure Grammar
+ * Parses a structure name into a leg model:
+ *   <instrument> <contract>[-<contract>] [<spacing>] [<kind>]
+ * e.g. "SON Sep26 D-Fly", "SO3 Mar26-Jun26 Calendar", "SO3 Mar26 3mo Butterfly", "SA3 Dec25"
+ * Contracts may use exchange month codes ("SONU6", "SO3 H6/M6 Calendar"); names are always
+ * formatted with month names ("SON Sep26", "SO3 Mar26-Jun26 Calendar")
+ * Normalization, metadata, RT legs and autocomplete all come from the parsed model
+ * Instruments are resolved through the product registry, so aliases ("SONIA") read as their symbol ("SON")
+ */
+
+import { getProduct, getListingInterval, isListedMonth } from './productRegistry';
+
+export const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Months between legs when the name gives no spacing and the product is not in the registry
+const DEFAULT_SPACING = 3;
+
+/**
+ * Structure kinds
+ * pattern is matched against the whole kind phrase (lowercase, spacing removed), so no
+ * kind has to be checked before another; ratios are per leg from the anchor contract outwards
+ */
+export const STRUCTURE_KINDS = {
+    outright: { label: 'Outright', ratios: [1] },
+    calendar: { label: 'Calendar', ratios: [1, -1], pattern: /^(?:calendar|cal|spread)$/ },
+    butterfly: { label: 'Butterfly', ratios: [1, -2, 1], pattern: /^butterfly$/ },
+    fly: { label: 'Fly', ratios: [1, -2, 1], pattern: /^(?:fly|b-?fly)$/ },
+    dfly: { label: 'D-Fly', ratios: [1, -3, 3, -1], pattern: /^(?:d[-\s]?fly|double\s+fly)$/ },
+    condor: { label: 'Condor', ratios: [1, -1, -1, 1], pattern: /^condor$/ },
+    flyCondor: { label: 'Fly Condor', ratios: [1, -2, 0, 2, -1], pattern: /^fly\s*condor$/ }
+};
+
+// Exchange month codes (F = Jan ... Z = Dec)
+export const MONTH_CODES = ['F', 'G', 'H', 'J', 'K', 'M', 'N', 'Q', 'U', 'V', 'X', 'Z'];
+
+const MONTH_CODE_CONTRACT = /^([FGHJKMNQUVXZ])(\d{1,2})$/i;
+
+// Month name + year ("Sep26", "Sep 26", "Sep2026") or month code + year ("U6", "U26")
+const CONTRACT = "(?:[A-Za-z]{3,9}'?\\s?\\d{2}(?:\\d{2})?|[FGHJKMNQUVXZfghjkmnquvxz]\\d{1,2})";
+const CONTRACTS_PATTERN = new RegExp(`^(${CONTRACT})(?:\\s*[-/]\\s*(${CONTRACT}))?(?=\\s|$)`);
+
+/**
+ * Build a contract from a month (1-12) and a 2- or 4-digit year
+ */
+export function makeContract(month, year) {
+    const fullYear = year < 100 ? 2000 + year : year;
+    return { month, year: fullYear, label: `${MONTH_NAMES[month - 1]}${String(fullYear).slice(2)}` };
+}
+
+/**
+ * Full year of a one-digit exchange year ("6" in "U6")
+ * Codes are reused every decade, so the year is taken from the window of three years back
+ * to six years ahead of today
+ */
+function resolveSingleDigitYear(digit, today = new Date()) {
+    const current = today.getFullYear();
+    let year = current - (current % 10) + digit;
+    if (year < current - 3) year += 10;
+    if (year > current + 6) year -= 10;
+    return year;
+}
+
+/**
+ * Parse a contract token such as "Sep26", "sept26", "Sep 26", "Sep2026", "U6" or "Z25" (null when not a contract)
+ */
+export function parseContract(token) {
+    const text = String(token || '').trim();
+
+    const code = text.match(MONTH_CODE_CONTRACT);
+    if (code) {
+        const month = MONTH_CODES.indexOf(code[1].toUpperCase()) + 1;
+        const year = code[2].length === 1 ? resolveSingleDigitYear(parseInt(code[2])) : parseInt(code[2]);
+        return makeContract(month, year);
+    }
+
+    const match = text.match(/^([A-Za-z]{3})[A-Za-z]*'?\s?(\d{2}|\d{4})$/);
+    if (!match) return null;
+    const month = MONTH_NAMES.findIndex(m => m.toLowerCase() === match[1].toLowerCase());
+    return month < 0 ? null : makeContract(month + 1, parseInt(match[2]));
+}
+
+/**
+ * Contract a number of months after another
+ */
+export function addMonths(contract, months) {
+    const index = contract.year * 12 + (contract.month - 1) + months;
+    return makeContract((index % 12) + 1, Math.floor(index / 12));
+}
+
+/**
+ * Months from one contract to another
+ */
+export function monthsBetween(front, back) {
+    return (back.year - front.year) * 12 + (back.month - front.month);
+}
+
+/**
+ * Calendar span bucket ('3mo', '6mo', '9mo' or '12mo') for a distance in months
+ */
+export function calendarSpanLabel(months) {
+    if (months <= 3) return '3mo';
+    if (months <= 6) return '6mo';
+    if (months <= 9) return '9mo';
+    return '12mo';
+}
+
+/**
+ * Read the kind phrase after the contracts: optional spacing ("3", "3mo") then a kind
+ * @returns {{ kind: string, spacing: string, spacingMonths: number|null }|null}
+ */
+function parseKindPhrase(phrase) {
+    const text = phrase.trim().toLowerCase().replace(/\s+/g, ' ');
+    if (!text) return { kind: null, spacing: '', spacingMonths: null };
+
+    const spaced = text.match(/^(\d{1,2})\s*(months?|mo|m)?(?:\s+|(?=[a-z]))(.+)$/);
+    const [spacingMonths, unit, rest] = spaced ? [parseInt(spaced[1]), spaced[2], spaced[3]] : [null, null, text];
+
+    const kind = Object.keys(STRUCTURE_KINDS).find(key => STRUCTURE_KINDS[key].pattern?.test(rest));
+    if (!kind) return null;
+
+    return {
+        kind,
+        spacing: spacingMonths === null ? '' : unit ? `${spacingMonths}mo` : String(spacingMonths),
+        spacingMonths
+    };
+}
+
+/**
+ * Split a symbol glued to a month-code contract ("SONU6 D-Fly" -> "SON U6 D-Fly", "SR3Z5" -> "SR3 Z5")
+ * Only registry symbols and aliases are split off, so other words are left alone
+ */
+function splitGluedContract(text) {
+    const token = text.match(/^[A-Za-z0-9]+/)?.[0] || '';
+    for (let i = 1; i < token.length - 1; i++) {
+        if (getProduct(token.slice(0, i)) && MONTH_CODE_CONTRACT.test(token.slice(i))) {
+            return `${text.slice(0, i)} ${text.slice(i)}`;
+        }
+    }
+    return text;
+}
+
+/**
+ * Parse a structure name into its leg model
+ * @returns {Object|null} { instrument, product, knownInstrument, listed, kind, type, anchor, contracts, span, spacing, legs, name },
+ *   or null when the name does not follow the grammar
+ */
+export function parseStructure(name) {
+    if (!name || typeof name !== 'string') return null;
+    const text = splitGluedContract(name.trim().replace(/[–—]/g, '-').replace(/\s+/g, ' '));
+
+    const instrumentMatch = text.match(/^([A-Za-z][A-Za-z0-9]{0,7})\s+(.+)$/);
+    if (!instrumentMatch) return null;
+    const product = getProduct(instrumentMatch[1]);
+    const instrument = product ? product.symbol : instrumentMatch[1].toUpperCase();
+    // Legs are one listing interval apart unless the name says otherwise
+    const defaultSpacing = product ? getListingInterval(product) : DEFAULT_SPACING;
+
+    const contractsMatch = instrumentMatch[2].match(CONTRACTS_PATTERN);
+    if (!contractsMatch) return null;
+    // Month codes are exchange symbology, only read for registry products
+    const usesMonthCodes = contractsMatch.slice(1).some(token => token && MONTH_CODE_CONTRACT.test(token));
+    if (usesMonthCodes && !product) return null;
+    const front = parseContract(contractsMatch[1]);
+    const back = contractsMatch[2] ? parseContract(contractsMatch[2]) : null;
+    if (!front || (contractsMatch[2] && !back)) return null;
+
+    const phrase = parseKindPhrase(instrumentMatch[2].slice(contractsMatch[0].length));
+    if (!phrase) return null;
+
+    // Two contracts always make a calendar; without a back month it spans its spacing or the listing interval
+    const kind = phrase.kind || (back ? 'calendar' : 'outright');
+    if (back && kind !== 'calendar') return null;
+
+    let span;
+    let contracts;
+    if (kind === 'calendar') {
+        const backContract = back || addMonths(front, phrase.spacingMonths || defaultSpacing);
+        span = monthsBetween(front, backContract);
+        if (span <= 0) return null;
+        contracts = [front, backContract];
+    } else {
+        span = phrase.spacingMonths || defaultSpacing;
+        contracts = [front];
+    }
+
+    const legs = STRUCTURE_KINDS[kind].ratios
+        .map((ratio, idx) => ({ contract: addMonths(front, idx * span), ratio }))
+        .filter(leg => leg.ratio !== 0);
+
+    // The spacing only shows in the name of kinds that are spaced by it
+    const spacing = kind === 'calendar' || kind === 'outright' ? '' : phrase.spacing;
+    const type = kind === 'outright'
+        ? STRUCTURE_KINDS.outright.label
+        : [spacing, STRUCTURE_KINDS[kind].label].filter(Boolean).join(' ');
+
+    const model = {
+        instrument,
+        product,
+        knownInstrument: !!product,
+        // False when a leg falls in a month the product does not list (e.g. "SO3 Oct26")
+        listed: !product || legs.every(leg => isListedMonth(product, leg.contract.month)),
+        kind,
+        type,
+        anchor: front,
+        contracts,
+        span,
+        spacing,
+        legs
+    };
+    return { ...model, name: formatStructure(model) };
+}
+
+/**
+ * Canonical name of a parsed structure ("SON Sep26 D-Fly", "SO3 Mar26-Jun26 Calendar", "SA3 Dec25")
+ */
+export function formatStructure(model) {
+    const tenor = model.contracts.map(c => c.label).join('-');
+    return model.kind === 'outright'
+        ? `${model.instrument} ${tenor}`
+        : `${model.instrument} ${tenor} ${model.type}`;
+}
+
+/**
+ * Name a structure from its parts, e.g. buildStructureName('SON', 'dfly', makeContract(9, 26))
+ * @param {string} [spacing] - '3', '3mo' or '' for the default; for calendars the back month distance
+ */
+export function buildStructureName(instrument, kind, anchor, spacing = '') {
+    const product = getProduct(instrument);
+    const defaultSpacing = product ? getListingInterval(product) : DEFAULT_SPACING;
+    const contracts = kind === 'calendar'
+        ? [anchor, addMonths(anchor, parseInt(spacing) || defaultSpacing)]
+        : [anchor];
+    const type = kind === 'outright'
+        ? STRUCTURE_KINDS.outright.label
+        : [kind === 'calendar' ? '' : spacing, STRUCTURE_KINDS[kind].label].filter(Boolean).join(' ');
+    return formatStructure({ instrument: product ? product.symbol : instrument, kind, type, contracts });
+}
+
+/**
+ * RT legs charged on entry: half a round-trip per outright lot in the structure
+ */
+export function structureRTLegs(model) {
+    return model.legs.reduce((sum, leg) => sum + Math.abs(leg.ratio), 0) / 2;
+}
+
+// Symbols and aliases shorter than this ("I", "G", "ER", "FF", "RX") also turn up as stray cells,
+// so alone they are not read as a structure fragment
+const MIN_BARE_SYMBOL_LENGTH = 3;
+
+/**
+ * Check whether a cell is part of a structure name split across columns
+ * ("SON", "Sep26", "D-Fly", "3mo Butterfly"); a short symbol needs its contract ("I Z6", "GZ6")
+ */
+export function isStructureFragment(token) {
+    const text = String(token || '').trim();
+    if (!text) return false;
+    const [first, ...rest] = splitGluedContract(text).split(/\s+/);
+    if (getProduct(first)) {
+        return first.length >= MIN_BARE_SYMBOL_LENGTH || CONTRACTS_PATTERN.test(rest.join(' '));
+    }
+    const phrase = parseKindPhrase(text);
+    return !!phrase?.kind;
+}
@@ -0,0 +1,185 @@
+/**
+ * Time Zones
+ * Fills are stored as UTC instants tagged with their exchange's IANA zone;
+ * display and daily bucketing follow a reporting zone chosen in Settings
+ */
+
+import { loadSettings, saveSettings } from './storage';
+
+// Zone of the browser, used until a reporting zone is chosen
+export const LOCAL_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+/**
+ * Exchange codes -> IANA zone of the venue's wall clock (first match wins)
+ * ICE US must come before the ICE Europe catch-all
+ */
+export const EXCHANGE_TIME_ZONES = [
+    { label: 'ICE US', pattern: /^(ICE[_\s-]?US|IFUS|NYBOT)/i, zone: 'America/New_York' },
+    { label: 'ICE Europe', pattern: /^(ICE|IFEU|IFLL|LIFFE)/i, zone: 'Europe/London' },
+    { label: 'CME Group', pattern: /^(CME|CBOT|NYMEX|COMEX|GLOBEX|XCME|XCBT)/i, zone: 'America/Chicago' },
+    { label: 'Eurex', pattern: /^(EUREX|XEUR)/i, zone: 'Europe/Berlin' },
+    { label: 'ASX 24', pattern: /^(ASX|SFE|XSFE)/i, zone: 'Australia/Sydney' },
+    { label: 'SGX', pattern: /^(SGX|XSES)/i, zone: 'Asia/Singapore' },
+    { label: 'Osaka (JPX)', pattern: /^(OSE|JPX|XOSE)/i, zone: 'Asia/Tokyo' },
+    { label: 'Montreal (MX)', pattern: /^(MX|XMOD|MONTREAL)/i, zone: 'America/Toronto' }
+];
+
+/**
+ * Zones offered as reporting zone
+ */
+export const REPORTING_TIME_ZONES = [
+    'Europe/London',
+    'America/Chicago',
+    'America/New_York',
+    'Europe/Berlin',
+    'Asia/Singapore',
+    'Asia/Tokyo',
+    'Australia/Sydney',
+    'UTC'
+];
+
+// Zone used for display and daily buckets (persisted in settings)
+let reportingTimeZone = LOCAL_TIME_ZONE;
+
+/**
+ * Check whether the runtime knows an IANA zone name
+ */
+export function isValidTimeZone(zone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: zone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Load the reporting zone from settings
+ */
+export function loadReportingTimeZone() {
+    const saved = loadSettings().reportingTimeZone;
+    if (saved && isValidTimeZone(saved)) {
+        reportingTimeZone = saved;
+    }
+}
+
+export function getReportingTimeZone() {
+    return reportingTimeZone;
+}
+
+/**
+ * Change the reporting zone and persist it
+ */
+export function setReportingTimeZone(zone) {
+    if (!isValidTimeZone(zone)) return;
+    reportingTimeZone = zone;
+    saveSettings({ ...loadSettings(), reportingTimeZone: zone });
+}
+
+/**
+ * IANA zone for an exchange code; unknown venues (MANUAL, FIX, UNKNOWN) use the reporting zone
+ */
+export function resolveExchangeTimeZone(exchange) {
+    const code = String(exchange || '').trim();
+    const match = code && EXCHANGE_TIME_ZONES.find(entry => entry.pattern.test(code));
+    return match ? match.zone : reportingTimeZone;
+}
+
+// Intl formatters are expensive to build, so keep one per zone
+const partsFormatters = new Map();
+
+function partsFormatter(zone) {
+    if (!partsFormatters.has(zone)) {
+        partsFormatters.set(zone, new Intl.DateTimeFormat('en-US', {
+            timeZone: zone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            timeZoneName: 'short'
+        }));
+    }
+    return partsFormatters.get(zone);
+}
+
+/**
+ * Wall-clock fields of an instant in a zone (month is 1-based)
+ */
+export function getZonedParts(date, zone = reportingTimeZone) {
+    const parts = {};
+    for (const { type, value } of partsFormatter(zone).formatToParts(date)) {
+        parts[type] = value;
+    }
+    return {
+        year: parseInt(parts.year),
+        month: parseInt(parts.month),
+        day: parseInt(parts.day),
+        hours: parseInt(parts.hour) % 24,
+        minutes: parseInt(parts.minute),
+        seconds: parseInt(parts.second),
+        zoneName: parts.timeZoneName
+    };
+}
+
+/**
+ * Offset of a zone from UTC in ms at a given instant
+ */
+function zoneOffset(zone, utcMs) {
+    const p = getZonedParts(new Date(utcMs), zone);
+    const wallMs = Date.UTC(p.year, p.month - 1, p.day, p.hours, p.minutes, p.seconds);
+    return wallMs - (utcMs - (((utcMs % 1000) + 1000) % 1000));
+}
+
+/**
+ * Convert a wall-clock time in a zone to a UTC instant
+ * e.g. 2025-06-16 00:30 Europe/London -> 2025-06-15T23:30:00Z
+ * @param {{ year, month, day, hours?, minutes?, seconds?, milliseconds? }} wall - month is 1-based
+ * @param {string} zone - IANA zone
+ * @returns {Date}
+ */
+export function zonedTimeToUtc({ year, month, day, hours = 0, minutes = 0, seconds = 0, milliseconds = 0 }, zone) {
+    const wallMs = Date.UTC(year, month - 1, day, hours, minutes, seconds, milliseconds);
+    // The offset at the first guess can be off by an hour when a DST change lies in between
+    const firstGuess = wallMs - zoneOffset(zone, wallMs);
+    return new Date(wallMs - zoneOffset(zone, firstGuess));
+}
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+/**
+ * Calendar date of an instant in a zone ("2025-06-16"), used as the daily bucket key
+ */
+export function formatDateKey(date, zone = reportingTimeZone) {
+    if (!date || isNaN(date.getTime?.())) return 'unknown';
+    const p = getZonedParts(date, zone);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+// Milliseconds suffix (".718"), empty on whole seconds
+function formatMillis(date) {
+    const ms = ((date.getTime() % 1000) + 1000) % 1000;
+    return ms ? `.${pad(ms, 3)}` : '';
+}
+
+/**
+ * Wall-clock time of an instant in a zone ("16:38:25", "15:11:15.718")
+ */
+export function formatTime(date, zone = reportingTimeZone) {
+    const p = getZonedParts(date, zone);
+    return `${pad(p.hours)}:${pad(p.minutes)}:${pad(p.seconds)}${formatMillis(date)}`;
+}
+
+/**
+ * Date, time and zone abbreviation of an instant ("2025-06-16 16:38:25.718 GMT+1")
+ */
+export function formatDateTime(date, zone = reportingTimeZone) {
+    if (!date || isNaN(date.getTime?.())) return '';
+    const p = getZonedParts(date, zone);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hours)}:${pad(p.minutes)}:${pad(p.seconds)}${formatMillis(date)} ${p.zoneName}`;
+}
+
+// Initialize reporting zone on load
+loadReportingTimeZone();
@@ -3,28 +3,13 @@
  * Robust parser that handles various formats and field misalignments
  */
 
-import { getCalendarSpan } from './structureConfig';
-
-// Known structure patterns for intelligent detection (order matters - more specific first)
-const STRUCTURE_PATTERNS = [
-    // Calendars
-    /SO3\s+\w+\d{2}[-–]\w+\d{2}\s+Calendar/i,
-    // Butterflies
-    /SO3\s+\w+\d{2}\s+3mo\s+Butterfly/i,
-    // Condors
-    /SO3\s+\w+\d{2}\s+3mo\s+Condor/i,
-    // Fly Condors (must come before D-Fly)
-    /SON\s+\w+\d{2}\s+Fly\s+Condor/i,
-    // 3 D-Flies (must come before D-Fly)
-    /SON\s+\w+\d{2}\s+3\s+D-?Fly/i,
-    // 3 Flies (must come before general Fly)
-    /SON\s+\w+\d{2}\s+3\s+Fly/i,
-    // D-Flies
-    /SON\s+\w+\d{2}\s+D-?[Ff]ly/i,
-    // Outrights - SO3, SA3, ER3 followed by tenor OR just price (SA3 Dec25, SO3 Mar26)
-    /S[OA]3\s+\w+\d{2}(?!\s*[-–]\w+\d{2})/i,
-    /ER3\s+\w+\d{2}/i,
-];
+import {
+    parseStructure, buildStructureName, isStructureFragment, calendarSpanLabel, makeContract, addMonths
+} from './structureGrammar';
+import { applyStructureAliases } from './structureAliases';
+import { splitRow, detectDelimiter, matchSide, DATE_FORMATS } from './importProfiles';
+import { resolveExchangeTimeZone, zonedTimeToUtc, formatDateKey, formatTime } from './timeZones';
+import { extractChatFill, readContextDate } from './chatParser';
 
 // Exchange patterns - more permissive
 const EXCHANGE_PATTERN = /^(ICE[_\-]?[A-Z]*|CME[_\-]?[A-Z]*|NYMEX|COMEX|ASE|EUREX|[A-Z]{2,6}[_\-][A-Z]+)\*?$/i;
@@ -75,10 +60,8 @@ function detectFieldType(value) {
     // Check for exchange
     if (EXCHANGE_PATTERN.test(trimmed)) return { type: 'exchange', value: trimmed.replace('*', '') };
 
-    // Check for structure (multi-word patterns)
-    for (const pattern of STRUCTURE_PATTERNS) {
-        if (pattern.test(trimmed)) return { type: 'structure', value: trimmed };
-    }
+    // Check for structure (a full name the grammar reads, on a known instrument)
+    if (parseStructure(trimmed)?.knownInstrument) return { type: 'structure', value: trimmed };
 
     // Check for date (DD-MM-YY format)
     if (/^\d{1,2}[-\/.]\d{1,2}[-\/.]\d{2,4}$/.test(trimmed)) {
@@ -96,19 +79,64 @@ function detectFieldType(value) {
         if (pattern.test(trimmed)) return { type: 'time', value: trimmed };
     }
 
-    // Could be part of structure name (various prefixes and structure types)
-    if (/^(SO3|SON|SA3|ER3|Calendar|Butterfly|Condor|Fly|D-?Fly)/i.test(trimmed)) {
+    // Could be part of structure name (instrument prefix or structure kind)
+    if (isStructureFragment(trimmed)) {
         return { type: 'structure_part', value: trimmed };
     }
 
     return { type: 'unknown', value: trimmed };
 }
 
+/**
+ * Day/month/year orders that can read an all-numeric date
+ * A 4-digit first part is always YMD; otherwise DMY and/or MDY depending on which part exceeds 12
+ */
+function numericDateOrders(first, second) {
+    if (first.length === 4) return ['YMD'];
+    const fits = (day, month) => parseInt(month) >= 1 && parseInt(month) <= 12 && parseInt(day) >= 1 && parseInt(day) <= 31;
+    const orders = [];
+    if (fits(first, second)) orders.push('DMY');
+    if (fits(second, first)) orders.push('MDY');
+    return orders;
+}
+
+const NUMERIC_DATE = /^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})$/;
+
+/**
+ * Infer the date order of a batch from values that can only be read one way (13/06/25 is DMY)
+ * @param {string[]} values - Date cells from one paste or file
+ * @returns {{ order: string|null, ambiguous: number, conflicting: boolean }}
+ *   order is null when no value settles it, or when values disagree (conflicting)
+ */
+export function inferDateOrder(values) {
+    const evidence = {};
+    let ambiguous = 0;
+
+    for (const value of values) {
+        const match = String(value || '').trim().match(NUMERIC_DATE);
+        if (!match) continue;
+        const orders = numericDateOrders(match[1], match[2]);
+        if (orders.length === 1) {
+            evidence[orders[0]] = (evidence[orders[0]] || 0) + 1;
+        } else if (orders.length > 1 && match[1] !== match[2]) {
+            ambiguous++;
+        }
+    }
+
+    const found = Object.keys(evidence);
+    return {
+        order: found.length === 1 ? found[0] : null,
+        ambiguous,
+        conflicting: found.length > 1
+    };
+}
+
 /**
  * Parse date string with multiple format support
- * Priority: DD-MM-YY (European) > DD-MM-YYYY > ISO > US
+ * dateFormat sets the order of all-numeric dates (DMY, MDY or YMD); with 'auto' only dates that
+ * read one way (or the same either way, like 05/05/25) are accepted, so nothing is silently misdated
  */
-function parseDate(dateStr) {
+export function parseDate(dateStr, dateFormat = 'auto') {
     if (!dateStr) return null;
 
     // Clean up the date string
@@ -127,18 +155,26 @@ function parseDate(dateStr) {
         }
     }
 
-    // Try ISO "2025-06-16"
-    const matchISO = cleaned.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
-    if (matchISO) {
-        const [, year, month, day] = matchISO;
-        return new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
-    }
+    // All-numeric dates: 16-6-25, 06/16/2025, 2025-06-16, 16.06.2025
+    const matchNumeric = cleaned.match(NUMERIC_DATE);
+    if (matchNumeric) {
+        const [, first, second, third] = matchNumeric;
+
+        let order = first.length === 4 ? 'YMD' : dateFormat;
+        if (order === 'auto') {
+            // Same date either way (05/05/25) is not ambiguous
+            const orders = numericDateOrders(first, second);
+            order = orders.length === 1 || (orders.length > 1 && first === second) ? orders[0] : null;
+            if (!order) return null;
+        }
+        // Year first only with a 4-digit year, as numericDateOrders infers it (1-7-25 is never 2001)
+        if (order === 'YMD' && first.length !== 4) return null;
 
-    // Try DD-MM-YY or DD-MM-YYYY or D-M-YY (European format with dash, slash, or dot)
-    // This is the most common format in the data: 16-6-25, 1-7-25, 23-10-25
-    const matchEuro = cleaned.match(/^(\d{1,2})[-\/.](\d{1,2})[-\/.](\d{2,4})$/);
-    if (matchEuro) {
-        let [, day, month, year] = matchEuro;
+        const [day, month, year] = order === 'MDY'
+            ? [second, first, third]
+            : order === 'YMD'
+                ? [third, second, first]
+                : [first, second, third];
 
         // Parse year: 2-digit years are 2000s (25 -> 2025)
         let fullYear = parseInt(year);
@@ -150,95 +186,279 @@ function parseDate(dateStr) {
         const monthInt = parseInt(month);
         const dayInt = parseInt(day);
 
-        // European format: DD-MM-YY
         // Validate: month should be 1-12
-        if (monthInt >= 1 && monthInt <= 12 && dayInt >= 1 && dayInt <= 31) {
-            return new Date(fullYear, monthInt - 1, dayInt);
-        }
+        if (monthInt < 1 || monthInt > 12 || dayInt < 1 || dayInt > 31) return null;
+        return new Date(fullYear, monthInt - 1, dayInt);
     }
 
-    // Fallback to Date constructor
+    // Fallback to Date constructor for textual dates ("Jun 16 2025")
     const parsed = new Date(cleaned);
     return isNaN(parsed.getTime()) ? null : parsed;
 }
 
 /**
- * Parse time string and apply to date
- * Handles: HH.MM.SS, HH:MM:SS, HH:MM:SS.mmm (with milliseconds)
+ * Parse a wall-clock time string
+ * Handles: HH.MM.SS, HH:MM:SS, HH:MM, with milliseconds (HH:MM:SS.mmm or HH.MM.SS.mmm)
+ * @returns {{ hours: number, minutes: number, seconds: number, milliseconds: number }|null}
  */
-function parseTime(timeStr, date) {
-    if (!timeStr || !date) return date;
+function parseTime(timeStr) {
+    if (!timeStr) return null;
 
-    // Clean up: remove trailing spaces, replace various separators with :
-    let cleaned = timeStr.trim();
+    const match = String(timeStr).trim().match(/^(\d{1,2})[.:·](\d{2})(?:[.:·](\d{2})(?:[.,](\d+))?)?/);
+    if (!match) return null;
 
-    // Handle format like "15:11:15.718 " - extract just time part, ignore milliseconds for Date
-    // Remove milliseconds portion after seconds (e.g., .718)
-    cleaned = cleaned.replace(/(\d{2})\.\d+\s*$/, '$1');
+    const [, hours, minutes, seconds = '0', fraction = ''] = match;
+    return {
+        hours: parseInt(hours),
+        minutes: parseInt(minutes),
+        seconds: parseInt(seconds),
+        // ".7" is 700ms, ".718234" is truncated to 718ms
+        milliseconds: fraction ? parseInt(fraction.slice(0, 3).padEnd(3, '0')) : 0
+    };
+}
 
-    // Replace . with : for dot-separated times like 16.38.25
-    cleaned = cleaned.replace(/[.:·]/g, ':');
+/**
+ * Normalize structure name for consistent grouping
+ * Names the structure grammar reads get their canonical form ("son sep26 dfly" -> "SON Sep26 D-Fly");
+ * anything else only has its whitespace tidied
+ */
+export function normalizeStructureName(structure) {
+    if (!structure) return '';
+    const model = parseStructure(structure);
+    return model ? model.name : structure.trim().replace(/\s+/g, ' ');
+}
 
-    const parts = cleaned.split(':').map(p => parseInt(p) || 0);
+/**
+ * Canonical structure for a raw name: user alias rules first, then the grammar
+ * @param {Array} [aliasRules] - Alias rules to apply (the saved rules by default)
+ */
+export function resolveStructureName(structure, aliasRules) {
+    return normalizeStructureName(applyStructureAliases(structure, aliasRules));
+}
 
-    if (parts.length >= 2) {
-        date.setHours(parts[0]);
-        date.setMinutes(parts[1]);
-        if (parts.length >= 3) {
-            date.setSeconds(parts[2]);
-        }
+/**
+ * 53-bit string hash (cyrb53), base36 encoded
+ */
+function hashString(str) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
     }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
 
-    return date;
+// Everything that identifies a fill, independent of where it sits in a paste
+function tradeContentKey(trade) {
+    return [
+        trade.source,
+        trade.execId || trade.orderId || '',
+        trade.timestamp,
+        trade.structure,
+        trade.side,
+        trade.quantity,
+        trade.price
+    ].join('|');
 }
 
 /**
- * Normalize structure name for consistent grouping
- * Handles case variations and whitespace issues
+ * Content-based trade ID: the same fill always gets the same ID, so re-imports merge exactly
+ * ordinal tells apart identical fills within one import (1st, 2nd, ... occurrence)
  */
-function normalizeStructureName(structure) {
-    if (!structure) return '';
-    let normalized = structure.trim();
+function tradeId(trade, ordinal = 0) {
+    return `${trade.source}-${hashString(`${tradeContentKey(trade)}|${ordinal}`)}`;
+}
 
-    // Normalize D-Fly/D-fly/D Fly/d-fly variations
-    normalized = normalized.replace(/D[-\s]?[Ff]ly/gi, 'D-Fly');
+/**
+ * Give a batch of imported trades their final IDs
+ * Identical fills are numbered in import order, so two real identical fills keep distinct IDs
+ * while re-importing an overlapping blotter reproduces the same IDs
+ * @returns {Array} New trade objects with id set
+ */
+export function assignTradeIds(trades) {
+    const occurrences = new Map();
+    return trades.map(trade => {
+        const key = tradeContentKey(trade);
+        const ordinal = occurrences.get(key) || 0;
+        occurrences.set(key, ordinal + 1);
+        return { ...trade, id: tradeId(trade, ordinal) };
+    });
+}
+
+/**
+ * Replace the random IDs of trades saved before content-based IDs (they have no source)
+ * Order is kept; FIFO matching depends on it
+ */
+export function migrateLegacyTradeIds(trades) {
+    const migrated = assignTradeIds(trades.filter(t => !t.source).map(t => ({ ...t, source: 'import' })));
+    let next = 0;
+    return trades.map(t => (t.source ? t : migrated[next++]));
+}
 
-    // Normalize 3 D-Fly/3D-Fly/3 D Fly variations (must come before 3 Fly)
-    normalized = normalized.replace(/3\s*D[-\s]?[Ff]ly/gi, '3 D-Fly');
+/**
+ * Optional identifiers that tie a fill back to the exchange and our OMS
+ */
+export const TRADE_REFERENCE_FIELDS = ['execId', 'orderId', 'account', 'trader'];
+
+/**
+ * Trim an optional identifier cell (null when blank)
+ */
+function referenceValue(value) {
+    const trimmed = value === undefined || value === null ? '' : String(value).trim();
+    return trimmed || null;
+}
 
-    // Normalize 3 Fly/3-Fly/3Fly (but not "3 D-Fly" or followed by Condor)
-    normalized = normalized.replace(/3\s+[Ff]ly(?!\s*Condor)(?!\s*D)/gi, '3 Fly');
+/**
+ * Build the stored trade object from resolved fields
+ * Shared by heuristic, positional, profile and manual parsing
+ * date is the UTC instant; timeZone is the exchange zone its time and dateStr are read in
+ * sequence is the fill's position in its import, breaking ties between fills in the same millisecond
+ * source is where the fill came from ('import', 'fix' or 'manual') and is part of its ID
+ * execId, orderId, account and trader are optional references (null when not known)
+ */
+export function buildTrade({
+    date, time, exchange, structure, side, quantity, price,
+    execId, orderId, account, trader,
+    timeZone = resolveExchangeTimeZone(exchange),
+    sequence = 0,
+    source = 'import',
+    ordinal = 0
+}) {
+    const trade = {
+        date,
+        dateStr: formatDateKey(date, timeZone),
+        time,
+        timeZone,
+        exchange,
+        structure: resolveStructureName(structure),
+        originalStructure: structure,
+        side,
+        quantity,
+        price,
+        timestamp: date.getTime(),
+        sequence,
+        source,
+        execId: referenceValue(execId),
+        orderId: referenceValue(orderId),
+        account: referenceValue(account),
+        trader: referenceValue(trader)
+    };
+    return { id: tradeId(trade, ordinal), ...trade };
+}
 
-    // Normalize Fly Condor
-    normalized = normalized.replace(/[Ff]ly\s*[Cc]ondor/gi, 'Fly Condor');
+/**
+ * Drop incoming fills that are already stored
+ * The exchange exec ID is the main duplicate key; fills without one fall back to the trade ID
+ * @param {Array} existing - Stored trades
+ * @param {Array} incoming - Newly imported or entered trades
+ * @returns {Array} Incoming trades that are not duplicates (of the store or of each other)
+ */
+export function filterNewTrades(existing, incoming) {
+    const seenIds = new Set(existing.map(t => t.id));
+    const seenExecIds = new Set(existing.map(t => t.execId).filter(Boolean));
+
+    return incoming.filter(trade => {
+        const duplicate = trade.execId ? seenExecIds.has(trade.execId) : seenIds.has(trade.id);
+        if (duplicate) return false;
+        seenIds.add(trade.id);
+        if (trade.execId) seenExecIds.add(trade.execId);
+        return true;
+    });
+}
 
-    // Normalize 3mo Butterfly
-    normalized = normalized.replace(/3mo\s*[Bb]utterfly/gi, '3mo Butterfly');
+/**
+ * Re-resolve stored trades' structures with the current alias rules and grammar
+ * Trades whose structure changes get the ID a fresh import of the same fill would get;
+ * manual trades keep theirs. Order is kept; FIFO matching depends on it
+ * @param {Array} [aliasRules] - Alias rules to apply (the saved rules by default)
+ * @returns {{ trades: Array, changed: number }}
+ */
+export function renormalizeTrades(trades, aliasRules) {
+    const occurrences = new Map();
+    let changed = 0;
+
+    const updated = trades.map(trade => {
+        const structure = resolveStructureName(trade.originalStructure || trade.structure, aliasRules);
+        const next = structure === trade.structure ? trade : { ...trade, structure };
+        const key = tradeContentKey(next);
+        const ordinal = occurrences.get(key) || 0;
+        occurrences.set(key, ordinal + 1);
+
+        if (next === trade) return trade;
+        changed++;
+        return trade.source === 'manual' ? next : { ...next, id: tradeId(next, ordinal) };
+    });
 
-    // Normalize 3mo Condor
-    normalized = normalized.replace(/3mo\s*[Cc]ondor/gi, '3mo Condor');
+    return { trades: updated, changed };
+}
 
-    // Normalize Calendar
-    normalized = normalized.replace(/[Cc]alendar/g, 'Calendar');
+/**
+ * Sort comparator: by timestamp, then by import sequence for fills in the same millisecond
+ */
+export function compareTrades(a, b) {
+    return (a.timestamp - b.timestamp) || ((a.sequence || 0) - (b.sequence || 0));
+}
 
-    // Normalize Butterfly (standalone)
-    normalized = normalized.replace(/[Bb]utterfly/g, 'Butterfly');
+/**
+ * Parse a number cell, tolerating thousands separators ("1,000")
+ */
+function parseNumber(value) {
+    if (value === undefined || value === null || value === '') return NaN;
+    return parseFloat(String(value).replace(/,/g, ''));
+}
 
-    // Normalize Condor (standalone)
-    normalized = normalized.replace(/[Cc]ondor/g, 'Condor');
+/**
+ * Flags for rows that parsed but deserve a second look in the import preview
+ */
+export const ROW_FLAGS = {
+    QUANTITY_DEFAULTED: 'Quantity defaulted to 1',
+    QUANTITY_COLUMN_MISMATCH: 'Value in the quantity column is not a positive whole number',
+    PRICE_MISSING: 'No numeric price found, using 0',
+    DATE_DEFAULTED: 'No date found, using today',
+    EXCHANGE_UNKNOWN: 'No exchange found'
+};
 
-    // Normalize dash between tenors (Mar26-Jun26, etc.)
-    normalized = normalized.replace(/(\w{3}\d{2})\s*[–—-]\s*(\w{3}\d{2})/g, '$1-$2');
+/**
+ * Reasons a line could not be turned into a trade
+ */
+export const PARSE_ISSUES = {
+    TOO_FEW_COLUMNS: 'Too few columns',
+    POSITIONAL_FAILED: 'Positional fallback failed',
+    MISSING_STRUCTURE: 'No structure found',
+    UNKNOWN_STRUCTURE: 'Unrecognized structure',
+    MISSING_SIDE: 'No buy/sell side found',
+    UNKNOWN_SIDE: 'Unrecognized side',
+    MISSING_DATE: 'No date found',
+    AMBIGUOUS_DATE: 'Day/month order of the date is ambiguous',
+    INVALID_DATE: 'Date could not be read',
+    MISSING_QUANTITY: 'No quantity found',
+    INVALID_QUANTITY: 'Quantity is not a positive number',
+    PARSE_FAILED: 'Could not parse'
+};
 
-    return normalized;
+/**
+ * Build a diagnostic for a failed line
+ * token is the offending text in the original line (null when nothing was found)
+ */
+function parseIssue(code, field, token = null, message = PARSE_ISSUES[code]) {
+    return { code, field, token: token === null ? null : String(token), message };
 }
 
 /**
- * Robust parsing of a single line - handles field misalignment
+ * Date orders other than the current one that can read a date token
  */
-function parseTradeRow(row) {
-    if (!row || !row.trim()) return null;
+function alternativeDateFormats(token, dateFormat) {
+    return DATE_FORMATS.filter(f => f !== dateFormat && parseDate(token, f));
+}
 
+/**
+ * Split a row into non-empty cells: tabs first, then 2+ spaces, then commas
+ */
+function splitLooseRow(row) {
     // Split by tabs first, then try other delimiters
     let parts = row.split('\t').map(p => p.trim()).filter(p => p);
 
@@ -252,13 +472,82 @@ function parseTradeRow(row) {
         parts = row.split(',').map(p => p.trim()).filter(p => p);
     }
 
-    if (parts.length < 4) return null;
+    return parts;
+}
+
+// A plain number cell: "-1.5", "96.455", "1,000", ".5"
+const NUMBER_CELL = /^-?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d*)?$|^-?\.\d+$/;
+
+/**
+ * Infer which columns of a pasted block hold quantity and price
+ * Looks at whole columns instead of single cells: a column with negatives or mostly decimals is
+ * the price, even when some rows hold whole numbers; quantity is the whole-number column nearest
+ * before it. With only whole-number columns, quantity comes first and price second.
+ * Only rows with the block's most common width are aligned; other rows fall back to per-cell guessing
+ * @param {string[][]} rows - Cells of each line
+ * @returns {{ width: number, columns: Object }} columns maps a column index to 'quantity' or 'price'
+ */
+export function inferNumericColumns(rows) {
+    const widthCounts = {};
+    rows.forEach(r => { widthCounts[r.length] = (widthCounts[r.length] || 0) + 1; });
+    const [width] = Object.entries(widthCounts).sort((a, b) => b[1] - a[1])[0] || [0];
+    const aligned = rows.filter(r => r.length === Number(width));
+
+    const numeric = [];
+    for (let col = 0; col < Number(width); col++) {
+        const cells = aligned.map(r => (r[col] || '').trim()).filter(Boolean);
+        const numbers = cells.filter(c => NUMBER_CELL.test(c));
+        // Most cells must be numbers; a few stray words don't make it a text column
+        if (numbers.length === 0 || numbers.length < cells.length / 2) continue;
+        numeric.push({
+            col,
+            decimalShare: numbers.filter(c => c.includes('.')).length / numbers.length,
+            hasNegative: numbers.some(c => c.startsWith('-'))
+        });
+    }
+
+    const columns = {};
+    const priceLike = numeric.filter(n => n.hasNegative || n.decimalShare > 0.5);
+    if (priceLike.length > 0) {
+        const price = priceLike[0];
+        columns[price.col] = 'price';
+        const others = numeric.filter(n => !priceLike.includes(n));
+        const quantity = others.filter(n => n.col < price.col).pop() || others[0];
+        if (quantity) columns[quantity.col] = 'quantity';
+    } else if (numeric.length > 0) {
+        columns[numeric[0].col] = 'quantity';
+        if (numeric[1]) columns[numeric[1].col] = 'price';
+    }
+
+    return { width: Number(width), columns };
+}
+
+/**
+ * Robust field detection for a single line - handles field misalignment
+ * numericColumns (from inferNumericColumns) decides quantity vs price for number cells when the
+ * line has the block's width; flags lists ROW_FLAGS keys for cells that disagree with their column
+ */
+function detectRowFields(parts, numericColumns = null) {
+    const useColumns = numericColumns && parts.length === numericColumns.width;
+    const flags = [];
 
     // Intelligently detect each field
-    const detected = parts.map(p => detectFieldType(p));
+    const detected = parts.map((p, idx) => {
+        const field = detectFieldType(p);
+        if (!useColumns || !NUMBER_CELL.test(p.trim())) return field;
+
+        const columnType = numericColumns.columns[idx];
+        // Other number columns (IDs, counters) are not quantity or price
+        if (!columnType) return { type: 'unknown', value: p.trim() };
+
+        const value = parseNumber(p);
+        if (columnType === 'quantity' && !(Number.isInteger(value) && value > 0)) {
+            flags.push('QUANTITY_COLUMN_MISMATCH');
+        }
+        return { type: columnType, value };
+    });
 
-    // Build trade object from detected fields
-    let trade = {
+    const fields = {
         date: null,
         time: null,
         exchange: null,
@@ -274,201 +563,540 @@ function parseTradeRow(row) {
     for (const field of detected) {
         switch (field.type) {
             case 'date':
-                if (!trade.date) trade.date = field.value;
+                if (!fields.date) {
+                    fields.date = field.value;
+                } else if (!fields.time && /^\d{1,2}\.\d{2}\.\d{2}$/.test(field.value)) {
+                    // "16.38.25" after the date is a dotted time, not a second date
+                    fields.time = field.value;
+                }
                 break;
             case 'time':
-                if (!trade.time) trade.time = field.value;
+                if (!fields.time) fields.time = field.value;
                 break;
             case 'exchange':
-                if (!trade.exchange) trade.exchange = field.value;
+                if (!fields.exchange) fields.exchange = field.value;
                 break;
             case 'structure':
-                trade.structure = field.value;
+                fields.structure = field.value;
                 break;
             case 'structure_part':
                 structureParts.push(field.value);
                 break;
             case 'side':
-                if (!trade.side) trade.side = field.value;
+                if (!fields.side) fields.side = field.value;
                 break;
             case 'quantity':
-                if (!trade.quantity) trade.quantity = field.value;
+                if (!fields.quantity) fields.quantity = field.value;
                 break;
             case 'price':
                 // Price is usually last, can have multiple numbers
-                trade.price = field.value;
+                fields.price = field.value;
                 break;
         }
     }
 
     // Reconstruct structure from parts if needed
-    if (!trade.structure && structureParts.length > 0) {
-        trade.structure = structureParts.join(' ');
+    if (!fields.structure && structureParts.length > 0) {
+        fields.structure = structureParts.join(' ');
     }
 
-    // Validate required fields
-    if (!trade.structure || trade.side === null) {
-        // Try positional parsing as fallback
-        return parseTradeRowPositional(parts);
+    return { fields, flags };
+}
+
+/**
+ * Fallback: positional fields (original behavior)
+ * Date, Time, Exchange, Structure, Side, Quantity, Price, then optional Exec ID, Order ID, Account, Trader
+ */
+function positionalRowFields(parts) {
+    if (parts.length < 7) return null;
+
+    const [date, time, exchange, structure, side, quantity, price, execId, orderId, account, trader] = parts;
+    return { date, time, exchange, structure, side, quantity, price, execId, orderId, account, trader };
+}
+
+/**
+ * Read fields using a saved import profile
+ * Columns are read by position, so nothing is guessed
+ */
+function profileRowFields(row, profile) {
+    const parts = splitRow(row, profile.delimiter);
+    const fields = {};
+    profile.columns.forEach((field, idx) => {
+        if (field !== 'ignore' && parts[idx] && fields[field] === undefined) {
+            fields[field] = parts[idx];
+        }
+    });
+
+    // Combined cells like "06/16/2025 16:38:25" or "2025-06-16T16:38:25.718"
+    if (fields.datetime) {
+        const timeMatch = fields.datetime.match(/[\sT](\d{1,2}[:.]\d{2}(?:[:.]\d{2}(?:\.\d+)?)?)\s*$/);
+        fields.date = fields.date || (timeMatch ? fields.datetime.slice(0, timeMatch.index) : fields.datetime);
+        fields.time = fields.time || (timeMatch ? timeMatch[1] : '');
+        delete fields.datetime;
+    }
+
+    return fields;
+}
+
+/**
+ * Resolve a side token with the default B/BUY/S/SELL vocabulary
+ */
+function resolveSide(value) {
+    if (!value) return null;
+    const token = String(value).trim();
+    return BUY_PATTERNS.test(token) ? 'BUY' : SELL_PATTERNS.test(token) ? 'SELL' : null;
+}
+
+/**
+ * Resolve raw field values into a trade
+ * Used by every line parser and by the import preview when a cell is edited
+ * @param {Object} fields - Raw values keyed by date/time/exchange/structure/side/quantity/price,
+ *   plus optional execId/orderId/account/trader
+ * @param {Object} [options]
+ * @param {string} [options.dateFormat] - Order of all-numeric dates (DMY, MDY, YMD or 'auto')
+ * @param {Object} [options.sideVocabulary] - Profile buy/sell words
+ * @param {boolean} [options.defaultQuantity] - Use 1 lot when no quantity was found
+ * @param {number} [options.sequence] - Position of the line in its import
+ * @param {string} [options.source] - Where the fill came from (see buildTrade)
+ * @returns {{ trade: Object|null, flags: string[], issues: Array }} flags are ROW_FLAGS keys,
+ *   issues explain why trade is null
+ */
+export function buildTradeFromFields(fields, options = {}) {
+    const { dateFormat = 'auto', sideVocabulary = null, defaultQuantity = false, sequence = 0, source = 'import' } = options;
+    const flags = [];
+    const issues = [];
+
+    if (!fields.structure) issues.push(parseIssue('MISSING_STRUCTURE', 'structure'));
+
+    const side = sideVocabulary ? matchSide(String(fields.side || ''), sideVocabulary) : resolveSide(fields.side);
+    if (!side) {
+        issues.push(fields.side
+            ? parseIssue('UNKNOWN_SIDE', 'side', fields.side, `Unrecognized side "${fields.side}"`)
+            : parseIssue('MISSING_SIDE', 'side'));
     }
 
-    // Parse and validate date
-    const parsedDate = parseDate(trade.date);
-    if (!parsedDate) return null;
+    const dateToken = fields.date ? String(fields.date) : '';
+    const parsedDate = parseDate(dateToken, dateFormat);
+    if (!parsedDate) {
+        const alternatives = dateToken ? alternativeDateFormats(dateToken, dateFormat) : [];
+        if (!dateToken) {
+            issues.push(parseIssue('MISSING_DATE', 'date'));
+        } else if (dateFormat === 'auto' && alternatives.length > 1) {
+            issues.push({
+                ...parseIssue('AMBIGUOUS_DATE', 'date', dateToken, `Ambiguous date "${dateToken}": reads as ${alternatives.join(' or ')}`),
+                alternatives
+            });
+        } else {
+            issues.push({ ...parseIssue('INVALID_DATE', 'date', dateToken), alternatives });
+        }
+    }
 
-    // Apply time
-    parseTime(trade.time, parsedDate);
+    let quantity = parseNumber(fields.quantity);
+    if (!(quantity > 0)) {
+        if (defaultQuantity) {
+            quantity = 1; // Default to 1 if not detected
+            flags.push('QUANTITY_DEFAULTED');
+        } else {
+            issues.push(fields.quantity
+                ? parseIssue('INVALID_QUANTITY', 'quantity', fields.quantity)
+                : parseIssue('MISSING_QUANTITY', 'quantity'));
+        }
+    }
 
-    // Normalize
-    const normalizedStructure = normalizeStructureName(trade.structure);
+    if (issues.length > 0) return { trade: null, flags, issues };
 
-    // Ensure quantity
-    if (!trade.quantity || trade.quantity <= 0) {
-        trade.quantity = 1; // Default to 1 if not detected
+    let price = parseNumber(fields.price);
+    if (isNaN(price)) {
+        price = 0;
+        flags.push('PRICE_MISSING');
     }
 
+    const exchange = String(fields.exchange || '').replace('*', '').trim();
+    if (!exchange) flags.push('EXCHANGE_UNKNOWN');
+
+    // The date and time are the exchange's wall clock; store the matching UTC instant
+    const timeZone = resolveExchangeTimeZone(exchange);
+    const date = zonedTimeToUtc({
+        year: parsedDate.getFullYear(),
+        month: parsedDate.getMonth() + 1,
+        day: parsedDate.getDate(),
+        ...parseTime(fields.time)
+    }, timeZone);
+
     return {
-        id: `${parsedDate.getTime()}-${Math.random().toString(36).substring(2, 11)}`,
-        date: parsedDate,
-        dateStr: parsedDate.toISOString().split('T')[0],
-        time: trade.time || '',
-        exchange: trade.exchange || 'UNKNOWN',
-        structure: normalizedStructure,
-        originalStructure: trade.structure,
-        side: trade.side,
-        quantity: trade.quantity,
-        price: trade.price || 0,
-        timestamp: parsedDate.getTime()
+        trade: buildTrade({
+            date,
+            time: fields.time || '',
+            exchange: exchange || 'UNKNOWN',
+            timeZone,
+            sequence,
+            source,
+            structure: String(fields.structure).trim(),
+            side,
+            quantity,
+            price,
+            execId: fields.execId,
+            orderId: fields.orderId,
+            account: fields.account,
+            trader: fields.trader
+        }),
+        flags,
+        issues
     };
 }
 
 /**
- * Fallback: positional parsing (original behavior)
+ * Longest cell the heuristics could not classify - usually an unfamiliar structure name
  */
-function parseTradeRowPositional(parts) {
-    if (parts.length < 7) return null;
+function unrecognizedToken(parts) {
+    return parts
+        .filter(p => /[a-z]/i.test(p) && detectFieldType(p).type === 'unknown')
+        .sort((a, b) => b.length - a.length)[0] || null;
+}
 
-    const [dateStr, timeStr, exchange, structure, side, qtyStr, priceStr] = parts;
+/**
+ * Read the fields of one line
+ * buildOptions are kept on the row so an edited row is resolved the same way;
+ * issues are set when the line could not be split into fields at all;
+ * flags are ROW_FLAGS keys raised while reading the line
+ */
+function extractLineFields(line, profile, numericColumns = null, contextDate = null) {
+    if (profile) {
+        return { fields: profileRowFields(line, profile), buildOptions: { sideVocabulary: profile.sideVocabulary }, issues: [], flags: [] };
+    }
 
-    const parsedDate = parseDate(dateStr);
-    if (!parsedDate) return null;
+    // Chat confirmations ("you sold 50 SON Sep26 D-Fly at -1.5") are phrases, not columns
+    const chat = line.includes('\t') ? null : extractChatFill(line, contextDate);
+    if (chat) return { fields: chat.fields, buildOptions: {}, issues: [], flags: chat.flags };
 
-    parseTime(timeStr, parsedDate);
+    const parts = splitLooseRow(line);
+    if (parts.length < 4) {
+        const issue = parseIssue('TOO_FEW_COLUMNS', null, null, `Only ${parts.length} column${parts.length === 1 ? '' : 's'} found, need at least 4`);
+        return { fields: null, buildOptions: {}, issues: [issue], flags: [] };
+    }
 
-    const normalizedStructure = normalizeStructureName(structure);
-    const normalizedSide = BUY_PATTERNS.test(side) ? 'BUY' : SELL_PATTERNS.test(side) ? 'SELL' : null;
+    const { fields: detected, flags } = detectRowFields(parts, numericColumns);
+
+    // Validate required fields, else try positional parsing as fallback
+    if (!detected.structure || detected.side === null) {
+        const positional = positionalRowFields(parts);
+        if (!positional) {
+            const unknown = unrecognizedToken(parts);
+            const issues = [];
+            if (!detected.structure) {
+                issues.push(unknown
+                    ? parseIssue('UNKNOWN_STRUCTURE', 'structure', unknown, `Unrecognized structure "${unknown}"`)
+                    : parseIssue('MISSING_STRUCTURE', 'structure'));
+            }
+            if (detected.side === null) issues.push(parseIssue('MISSING_SIDE', 'side'));
+            issues.push(parseIssue('POSITIONAL_FAILED', null, null, `Positional fallback needs 7 columns, found ${parts.length}`));
+            // Resolved like a heuristic row once the user fixes it in the preview
+            return { fields: detected, buildOptions: { defaultQuantity: true }, issues, flags };
+        }
+        return { fields: positional, buildOptions: {}, issues: [], flags: [] };
+    }
 
-    if (!normalizedSide) return null;
+    return { fields: detected, buildOptions: { defaultQuantity: true }, issues: [], flags };
+}
 
-    const quantity = parseInt(qtyStr) || 0;
-    const price = parseFloat(priceStr) || 0;
+/**
+ * Suggest an import profile from a sample paste
+ * Each column gets the field type most of its cells were detected as
+ */
+export function suggestImportProfile(sample) {
+    const lines = (sample || '').split('\n').filter(line => line.trim());
+    if (lines.length === 0) return null;
+
+    const delimiter = detectDelimiter(lines[0]);
+    const rows = lines.map(line => splitRow(line, delimiter));
+
+    // A first line without any digits is a header row
+    const hasHeader = lines.length > 1 && !/\d/.test(lines[0]);
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+    const width = Math.max(...rows.map(r => r.length));
+
+    const fieldByType = {
+        date: 'date',
+        time: 'time',
+        exchange: 'exchange',
+        structure: 'structure',
+        structure_part: 'structure',
+        side: 'side',
+        quantity: 'quantity',
+        price: 'price'
+    };
+
+    // Number columns are typed from the whole block, not cell by cell
+    const numericColumns = inferNumericColumns(dataRows);
+
+    const columns = [];
+    for (let col = 0; col < width; col++) {
+        const counts = {};
+        for (const row of dataRows) {
+            if (!row[col]) continue;
+            const type = NUMBER_CELL.test(row[col].trim()) ? 'number' : detectFieldType(row[col]).type;
+            counts[type] = (counts[type] || 0) + 1;
+        }
+        const [bestType] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || ['unknown'];
+        columns.push(bestType === 'number'
+            ? numericColumns.columns[col] || 'ignore'
+            : fieldByType[bestType] || 'ignore');
+    }
 
-    if (quantity === 0) return null;
+    // Each field maps to one column - keep the first, except price which is usually last
+    const seen = new Set();
+    for (let col = 0; col < columns.length; col++) {
+        const field = columns[col];
+        if (field === 'ignore' || field === 'price') continue;
+        if (seen.has(field)) columns[col] = 'ignore';
+        seen.add(field);
+    }
+    const priceColumns = columns.map((f, idx) => (f === 'price' ? idx : -1)).filter(idx => idx >= 0);
+    priceColumns.slice(0, -1).forEach(idx => { columns[idx] = 'ignore'; });
+
+    const sideIdx = columns.indexOf('side');
+    const sideValues = sideIdx >= 0 ? dataRows.map(r => (r[sideIdx] || '').toUpperCase()).filter(Boolean) : [];
+    const dateIdx = columns.indexOf('date');
 
     return {
-        id: `${parsedDate.getTime()}-${Math.random().toString(36).substring(2, 11)}`,
-        date: parsedDate,
-        dateStr: parsedDate.toISOString().split('T')[0],
-        time: timeStr,
-        exchange: (exchange || '').replace('*', '').trim(),
-        structure: normalizedStructure,
-        originalStructure: structure,
-        side: normalizedSide,
-        quantity,
-        price,
-        timestamp: parsedDate.getTime()
+        name: '',
+        delimiter,
+        hasHeader,
+        dateFormat: inferDateOrder(dateIdx >= 0 ? dataRows.map(r => r[dateIdx]) : []).order || 'auto',
+        columns,
+        sideVocabulary: {
+            buy: [...new Set(['B', 'BUY', ...sideValues.filter(v => BUY_PATTERNS.test(v))])],
+            sell: [...new Set(['S', 'SELL', ...sideValues.filter(v => SELL_PATTERNS.test(v))])]
+        }
+    };
+}
+
+// Header names (lowercase) recognized for each profile field
+const HEADER_ALIASES = {
+    date: ['date', 'trade date', 'tradedate', 'fill date', 'exec date'],
+    time: ['time', 'fill time', 'exec time', 'execution time', 'trade time'],
+    datetime: ['timestamp', 'datetime', 'date time', 'date/time', 'transact time', 'filled time'],
+    exchange: ['exchange', 'exch', 'market', 'venue', 'mic'],
+    structure: ['structure', 'contract', 'instrument', 'symbol', 'product', 'security', 'description'],
+    side: ['side', 'b/s', 'buy/sell', 'bs', 'direction', 'action'],
+    quantity: ['quantity', 'qty', 'fill qty', 'filled qty', 'exec qty', 'size', 'lots', 'volume'],
+    price: ['price', 'fill price', 'exec price', 'px', 'avg price', 'trade price'],
+    execId: ['exec id', 'execid', 'execution id', 'exec ref', 'fill id'],
+    orderId: ['order id', 'orderid', 'order no', 'order number', 'clordid', 'cl ord id'],
+    account: ['account', 'acct', 'account id', 'book'],
+    trader: ['trader', 'user', 'trader id', 'username']
+};
+
+/**
+ * Build a profile from a header row such as "Date,Time,Exchange,Structure,Side,Quantity,Price"
+ * (including our own exportTradesCSV output)
+ * @param {string} line - First line of the input
+ * @returns {Object|null} Profile with hasHeader set, or null when the line is not a header
+ */
+export function detectHeaderProfile(line) {
+    if (!line || /\d{2}/.test(line)) return null;
+
+    const delimiter = detectDelimiter(line);
+    const cells = splitRow(line, delimiter).map(c => c.replace(/^"|"$/g, '').trim().toLowerCase());
+
+    const columns = cells.map(cell => {
+        const match = Object.entries(HEADER_ALIASES).find(([, aliases]) => aliases.includes(cell));
+        return match ? match[0] : 'ignore';
+    });
+
+    // Keep the first column for each field
+    columns.forEach((field, idx) => {
+        if (field !== 'ignore' && columns.indexOf(field) !== idx) columns[idx] = 'ignore';
+    });
+
+    const hasDate = columns.includes('date') || columns.includes('datetime');
+    if (!columns.includes('structure') || !columns.includes('side') || !columns.includes('price') || !hasDate) {
+        return null;
+    }
+
+    return {
+        id: 'header',
+        name: 'Header row',
+        delimiter,
+        hasHeader: true,
+        // Date order comes from the global setting or is inferred per batch
+        dateFormat: 'auto',
+        columns,
+        sideVocabulary: {
+            buy: ['B', 'BUY', 'BOUGHT', 'BOT', 'LONG'],
+            sell: ['S', 'SELL', 'SOLD', 'SLD', 'SHORT']
+        }
     };
 }
 
 /**
  * Parse multiple lines of trade data with error tracking
+ * @param {string} input - Pasted fills, one per line
+ * @param {Object} [options]
+ * @param {Object} [options.profile] - Import profile; a header row or heuristics are used when omitted
+ * @param {string} [options.dateOrder] - Global date order (DMY, MDY, YMD or 'auto'), used unless the profile sets one
+ * @param {number} [options.lineOffset] - Added to reported line numbers (chunked file imports)
+ * @returns {{ trades: Array, errors: Array, rows: Array, dateOrder: Object }} errors carry the full line and its
+ *   PARSE_ISSUES diagnostics ({ code, field, token, message }); dateOrder tells how numeric dates were read
  */
-export function parseTrades(input) {
-    if (!input || typeof input !== 'string') return { trades: [], errors: [] };
+export function parseTrades(input, options = {}) {
+    if (!input || typeof input !== 'string') return { trades: [], errors: [], rows: [], dateOrder: null };
 
     const lines = input.split('\n').filter(line => line.trim());
+    const { lineOffset = 0 } = options;
+    const profile = options.profile || detectHeaderProfile(lines[0]);
     const trades = [];
     const errors = [];
+    // Every data line with what was detected in it (for the import preview)
+    const rows = [];
+
+    // Header rows are skipped but still count towards line numbers
+    const firstLine = profile?.hasHeader ? 1 : 0;
+    const dataLines = lines.slice(firstLine);
+
+    // Without a profile, quantity and price columns are inferred from the whole block
+    const numericColumns = profile ? null : inferNumericColumns(dataLines.map(splitLooseRow));
+
+    // A line holding only a date dates the chat fills below it
+    let contextDate = null;
+    const extracted = dataLines.map(content => {
+        const lineDate = profile ? null : readContextDate(content);
+        if (lineDate) {
+            contextDate = lineDate;
+            return { context: true, fields: { date: lineDate } };
+        }
+        try {
+            return extractLineFields(content, profile, numericColumns, contextDate);
+        } catch (e) {
+            return { fields: null, buildOptions: {}, issues: [parseIssue('PARSE_FAILED', null, null, e.message)], flags: [] };
+        }
+    });
 
-    for (let i = 0; i < lines.length; i++) {
+    // A profile's own date order wins, then the global setting; otherwise infer it from the whole batch
+    const requestedOrder = profile?.dateFormat && profile.dateFormat !== 'auto'
+        ? profile.dateFormat
+        : options.dateOrder || 'auto';
+    const inferred = requestedOrder === 'auto' ? inferDateOrder(extracted.map(e => e.fields?.date)) : null;
+    const dateFormat = inferred ? inferred.order || 'auto' : requestedOrder;
+
+    extracted.forEach((entry, idx) => {
+        if (entry.context) return;
+        const line = lineOffset + firstLine + idx + 1;
+        const content = dataLines[idx];
+        // The line number keeps paste order for fills that share a timestamp
+        const buildOptions = { ...entry.buildOptions, dateFormat, sequence: line };
+
+        let built;
         try {
-            const trade = parseTradeRow(lines[i]);
-            if (trade) {
-                trades.push(trade);
-            } else {
-                errors.push({ line: i + 1, content: lines[i].substring(0, 50), reason: 'Could not parse' });
-            }
+            built = entry.issues.length > 0
+                ? { trade: null, flags: [], issues: entry.issues }
+                : buildTradeFromFields(entry.fields, buildOptions);
         } catch (e) {
-            errors.push({ line: i + 1, content: lines[i].substring(0, 50), reason: e.message });
+            built = { trade: null, flags: [], issues: [parseIssue('PARSE_FAILED', null, null, e.message)] };
         }
-    }
+        // Cells that disagree with their inferred column are flagged for review, not dropped
+        if (entry.flags.length > 0) built = { ...built, flags: [...new Set([...entry.flags, ...built.flags])] };
+
+        rows.push({ line, content, fields: entry.fields, buildOptions, ...built });
+        if (built.trade) {
+            trades.push(built.trade);
+        } else {
+            errors.push({
+                line,
+                content,
+                reason: built.issues.map(issue => issue.message).join('; '),
+                issues: built.issues
+            });
+        }
+    });
 
-    // Sort by timestamp
-    trades.sort((a, b) => a.timestamp - b.timestamp);
+    // Sort by timestamp, keeping paste order within the same millisecond
+    trades.sort(compareTrades);
 
-    return { trades, errors };
+    return {
+        trades: assignTradeIds(trades),
+        errors,
+        rows,
+        dateOrder: {
+            order: dateFormat,
+            inferred: !!inferred?.order,
+            ambiguous: inferred ? inferred.ambiguous : 0,
+            conflicting: !!inferred?.conflicting
+        }
+    };
 }
 
 /**
  * Create a trade object from manual entry
  */
 export function createManualTrade(data) {
-    const { date, time, exchange, structure, side, quantity, price } = data;
+    const { date, time, exchange, structure, side, quantity, price, execId, orderId, account, trader } = data;
 
     // Validate required fields
     if (!structure || !side || !quantity) {
         throw new Error('Structure, side, and quantity are required');
     }
 
-    // Parse date
-    let parsedDate = date instanceof Date ? date : new Date(date);
-    if (isNaN(parsedDate.getTime())) {
-        parsedDate = new Date();
-    }
-
-    // Apply time if provided
-    if (time) {
-        const [hours, minutes] = time.split(':');
-        parsedDate.setHours(parseInt(hours) || 0);
-        parsedDate.setMinutes(parseInt(minutes) || 0);
+    // Date and time are entered as the exchange's wall clock
+    const timeZone = resolveExchangeTimeZone(exchange || 'MANUAL');
+    const dayMatch = (date instanceof Date ? formatDateKey(date, timeZone) : String(date || '')).match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+
+    let tradeDate;
+    if (dayMatch) {
+        tradeDate = zonedTimeToUtc({
+            year: parseInt(dayMatch[1]),
+            month: parseInt(dayMatch[2]),
+            day: parseInt(dayMatch[3]),
+            ...parseTime(time)
+        }, timeZone);
+    } else {
+        tradeDate = new Date();
     }
 
-    const normalizedStructure = normalizeStructureName(structure);
     const normalizedSide = side.toUpperCase() === 'BUY' || side.toUpperCase() === 'B' ? 'BUY' : 'SELL';
 
-    return {
-        id: `${parsedDate.getTime()}-${Math.random().toString(36).substring(2, 11)}`,
-        date: parsedDate,
-        dateStr: parsedDate.toISOString().split('T')[0],
-        time: time || parsedDate.toTimeString().split(' ')[0],
+    return buildTrade({
+        date: tradeDate,
+        time: time || formatTime(tradeDate, timeZone),
         exchange: exchange || 'MANUAL',
-        structure: normalizedStructure,
-        originalStructure: structure,
+        timeZone,
+        structure,
         side: normalizedSide,
         quantity: parseInt(quantity) || 1,
         price: parseFloat(price) || 0,
-        timestamp: parsedDate.getTime()
-    };
+        execId,
+        orderId,
+        account,
+        trader,
+        source: 'manual',
+        // Entering the same fill twice by hand means two fills
+        ordinal: Date.now()
+    });
 }
 
+// Structures offered in autocomplete for the next few quarterly contracts
+const SUGGESTED_STRUCTURES = [
+    { instrument: 'SO3', kind: 'calendar', spacing: '3' },
+    { instrument: 'SO3', kind: 'butterfly', spacing: '3mo' },
+    { instrument: 'SON', kind: 'dfly', spacing: '' },
+    { instrument: 'SON', kind: 'fly', spacing: '3' },
+    { instrument: 'SON', kind: 'flyCondor', spacing: '' }
+];
+
 /**
  * Get list of known structures for autocomplete
  */
 export function getKnownStructures(existingTrades = []) {
-    // Start with some common structures
-    const structures = new Set([
-        'SO3 Mar26-Jun26 Calendar',
-        'SO3 Jun26-Sep26 Calendar',
-        'SO3 Sep26-Dec26 Calendar',
-        'SO3 Mar26 3mo Butterfly',
-        'SO3 Jun26 3mo Butterfly',
-        'SON Sep26 D-Fly',
-        'SON Dec26 D-Fly',
-        'SON Mar27 D-Fly',
-        'SON Sep26 3 Fly',
-        'SON Dec26 3 Fly',
-        'SON Sep26 Fly Condor',
-    ]);
+    // Start with common structures anchored on the coming quarterly contracts
+    const today = new Date();
+    const frontQuarter = makeContract(Math.ceil((today.getMonth() + 1) / 3) * 3, today.getFullYear());
+    const structures = new Set();
+    for (let quarter = 0; quarter < 4; quarter++) {
+        const anchor = addMonths(frontQuarter, quarter * 3);
+        SUGGESTED_STRUCTURES.forEach(({ instrument, kind, spacing }) => {
+            structures.add(buildStructureName(instrument, kind, anchor, spacing));
+        });
+    }
 
     // Add structures from existing trades
     existingTrades.forEach(t => {
@@ -480,59 +1108,38 @@ export function getKnownStructures(existingTrades = []) {
 
 /**
  * Extract structure metadata from structure name
+ * legs lists each outright contract with its ratio (e.g. +1 Sep26, -3 Dec26, +3 Mar27, -1 Jun27)
  */
 export function parseStructureMetadata(structureName) {
-    const metadata = {
-        instrument: '',
-        tenor: '',
-        type: '',
-        calendarSpan: null,
-        fullName: structureName
-    };
-
-    // Extract instrument (SO3, SON, SA3, ER3)
-    const instrumentMatch = structureName.match(/^(SO3|SON|SA3|ER3)/);
-    if (instrumentMatch) {
-        metadata.instrument = instrumentMatch[1];
-    }
-
-    // Extract tenor (Mar26, Jun26, Sep26, Dec26, etc.)
-    const tenorMatch = structureName.match(/((?:Mar|Jun|Sep|Dec)\d{2})/g);
-    if (tenorMatch) {
-        metadata.tenor = tenorMatch.join('-');
-    }
-
-    // Extract structure type (order matters - check specific before general!)
-    if (structureName.includes('Fly Condor')) {
-        metadata.type = 'Fly Condor';
-    } else if (structureName.includes('3 D-Fly')) {
-        metadata.type = '3 D-Fly';
-    } else if (structureName.includes('3 Fly')) {
-        metadata.type = '3 Fly';
-    } else if (structureName.includes('D-Fly')) {
-        metadata.type = 'D-Fly';
-    } else if (structureName.includes('3mo Butterfly')) {
-        metadata.type = '3mo Butterfly';
-    } else if (structureName.includes('3mo Condor')) {
-        metadata.type = '3mo Condor';
-    } else if (structureName.includes('Condor')) {
-        metadata.type = 'Condor';
-    } else if (structureName.includes('Calendar')) {
-        const span = getCalendarSpan(structureName);
-        if (span) {
-            metadata.calendarSpan = span;
-            metadata.type = `${span.replace('mo', ' Month')} Calendar`;
-        } else {
-            metadata.type = 'Calendar';
-        }
-    } else if (structureName.startsWith('SA3') || structureName.startsWith('ER3')) {
-        // Outrights (single futures contracts)
-        metadata.type = 'Outright';
-    } else {
-        metadata.type = 'Unknown';
+    const model = parseStructure(structureName);
+    if (!model) {
+        return {
+            instrument: '',
+            tenor: '',
+            type: 'Unknown',
+            calendarSpan: null,
+            product: null,
+            anchor: null,
+            span: null,
+            legs: [],
+            fullName: structureName
+        };
     }
 
-    return metadata;
+    const calendarSpan = model.kind === 'calendar' ? calendarSpanLabel(model.span) : null;
+    return {
+        instrument: model.instrument,
+        // Contract specs from the product registry (null for instruments it doesn't list)
+        product: model.product,
+        tenor: model.contracts.map(c => c.label).join('-'),
+        type: calendarSpan ? `${calendarSpan.replace('mo', ' Month')} Calendar` : model.type,
+        calendarSpan,
+        listed: model.listed,
+        anchor: model.anchor.label,
+        span: model.span,
+        legs: model.legs.map(leg => ({ contract: leg.contract.label, ratio: leg.ratio })),
+        fullName: structureName
+    };
 }
 
 /**